@@ -2,13 +2,16 @@ import pandas as pd
 import json
 import os
 
+# The dashboard applies the same rules to files loaded in the browser
+# (src/lib/dataset.js), keep the two in sync.
 def clean_data():
     # Load the data
     df = pd.read_csv('efax_analysis.csv')
     
-    # Filter strictly for status_code == 200
+    # Keep every crawled row: the dashboard reports non-200 pages in its crawl
+    # health section and restricts the schema analysis to status_code == 200
     df['status_code'] = pd.to_numeric(df['status_code'], errors='coerce')
-    df = df[df['status_code'] == 200]
+    df = df[df['status_code'].notna()]
     
     # Clean schema_types_found
     # Remove 'Unknown' from the string list if present
@@ -52,17 +55,17 @@ def clean_data():
     df = df.where(pd.notnull(df), None)
     
     # Create output directory if it doesn't exist
-    os.makedirs('src/data', exist_ok=True)
+    os.makedirs('public/data', exist_ok=True)
     
     # Convert to list of dicts
     data = df.to_dict(orient='records')
     
     # Save to JSON
-    with open('src/data/cleaned_data.json', 'w') as f:
+    with open('public/data/cleaned_data.json', 'w') as f:
         # ensure_ascii=False for better character handling
         json.dump(data, f, indent=2, ensure_ascii=False)
         
-    print(f"Cleaned data saved to src/data/cleaned_data.json. Total records: {len(data)}")
+    print(f"Cleaned data saved to public/data/cleaned_data.json. Total records: {len(data)}")
 
 if __name__ == "__main__":
     clean_data()
@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Offline structured data audit.
+ *
+ * Reads saved HTML pages from a directory (or fetches them from a local static
+ * server) and writes analysis rows in the efax_analysis.csv schema, ready to be
+ * loaded into the dashboard or cleaned by clean_data.py.
+ *
+ * Usage:
+ *   node scripts/extract-schema.js --url-map urls.json --pages ./saved-pages --out staging.csv
+ *   node scripts/extract-schema.js --url-map urls.json --server http://localhost:4173 --out staging.json
+ *
+ * The URL map is a JSON object from the page's public URL to its file (relative
+ * to --pages) or its path on --server:
+ *   { "https://www.efax.com/blog/fax-server": "blog/fax-server/index.html" }
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { analyzePage } from '../src/lib/extract.js';
+import { ANALYSIS_COLUMNS } from '../src/lib/dataset.js';
+import { toCsv } from '../src/lib/csv.js';
+
+const USAGE = `Usage: node scripts/extract-schema.js --url-map <file.json> (--pages <dir> | --server <url>) [options]
+
+Options:
+  --url-map <file>   JSON object mapping each page URL to a file or server path (required)
+  --pages <dir>      Directory of saved HTML pages
+  --server <url>     Base URL of a local static server serving the pages
+  --out <file>       Output file, .csv or .json (default: CSV on stdout)
+  --format <fmt>     csv or json, overrides the --out extension
+  --js-rendered      Mark pages as JS rendered (the HTML is a post-render DOM snapshot)
+  -h, --help         Show this help`;
+
+const fail = (message) => {
+    console.error(`Error: ${message}\n\n${USAGE}`);
+    process.exit(1);
+};
+
+const loadUrlMap = async (file) => {
+    let map;
+    try {
+        map = JSON.parse(await readFile(file, 'utf8'));
+    } catch (err) {
+        fail(`Could not read URL map ${file}: ${err.message}`);
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        fail(`URL map ${file} must be a JSON object of { "<url>": "<file or path>" }`);
+    }
+    return Object.entries(map);
+};
+
+const readFromDirectory = async (dir, file) => {
+    try {
+        return { statusCode: 200, html: await readFile(path.join(dir, file), 'utf8') };
+    } catch (err) {
+        if (err.code === 'ENOENT') return { statusCode: 404, html: '' };
+        throw err;
+    }
+};
+
+const readFromServer = async (server, pagePath) => {
+    const response = await fetch(new URL(pagePath, server.endsWith('/') ? server : `${server}/`));
+    return {
+        statusCode: response.status,
+        html: response.ok ? await response.text() : ''
+    };
+};
+
+const main = async () => {
+    let options;
+    try {
+        ({ values: options } = parseArgs({
+            options: {
+                'url-map': { type: 'string' },
+                pages: { type: 'string' },
+                server: { type: 'string' },
+                out: { type: 'string' },
+                format: { type: 'string' },
+                'js-rendered': { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        fail(err.message);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options['url-map']) fail('--url-map is required');
+    if (!options.pages === !options.server) fail('Pass exactly one of --pages or --server');
+
+    const format = options.format || (options.out && path.extname(options.out) === '.json' ? 'json' : 'csv');
+    if (format !== 'csv' && format !== 'json') fail(`Unknown format "${format}"`);
+
+    const entries = await loadUrlMap(options['url-map']);
+    const rows = [];
+    for (const [url, location] of entries) {
+        const { statusCode, html } = options.pages
+            ? await readFromDirectory(options.pages, location)
+            : await readFromServer(options.server, location);
+        const row = analyzePage({ url, statusCode, html, jsRendered: options['js-rendered'] });
+        if (statusCode !== 200) {
+            console.error(`${url}: ${statusCode}`);
+        } else if (row.validation_errors > 0) {
+            console.error(`${url}: ${row.validation_errors} validation error(s)`);
+        }
+        rows.push(row);
+    }
+
+    const output = format === 'json'
+        ? JSON.stringify(rows, null, 2) + '\n'
+        : toCsv(rows, ANALYSIS_COLUMNS);
+
+    if (options.out) {
+        await writeFile(options.out, output);
+        console.error(`Wrote ${rows.length} rows to ${options.out}`);
+    } else {
+        process.stdout.write(output);
+    }
+};
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
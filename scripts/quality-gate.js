@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Structured data quality gate.
+ *
+ * Checks a crawl export (cleaned JSON or raw efax_analysis.csv) against a
+ * policy file, prints a summary and exits non-zero when a check fails, so a
+ * release pipeline can stop on a regression without opening the dashboard.
+ *
+ * Usage:
+ *   node scripts/quality-gate.js --policy quality-policy.json
+ *   node scripts/quality-gate.js --policy quality-policy.json --data efax_analysis.csv --junit gate.xml
+ *
+ * See src/lib/policy.js for the policy format. Like the dashboard, the gate
+ * applies accepted page types (--page-types) and recomputes recommendations
+ * with the default rule set or the one passed with --rules.
+ */
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { parseDatasetText } from '../src/lib/dataset.js';
+import { DEFAULT_RULE_SET, parseRuleSet, recomputeRecommendations } from '../src/lib/recommendationRules.js';
+import { parseRecordsExport, isClosed } from '../src/lib/remediation.js';
+import { parsePageTypesExport, applyPageTypes } from '../src/lib/pageTypeRules.js';
+import { parsePolicy, evaluatePolicy, toJUnit } from '../src/lib/policy.js';
+
+const USAGE = `Usage: node scripts/quality-gate.js --policy <file.json> [options]
+
+Options:
+  --policy <file>      Policy file with the checks to run (required)
+  --data <file>        Crawl export, .json or .csv (default: public/data/cleaned_data.json)
+  --rules <file>       Recommendation rule set exported from the dashboard (default: built-in rules)
+  --page-types <file>  Page types accepted in the dashboard's classifier, as exported from it
+  --tracker <file>     Remediation tracker export; recommendations it marks fixed or won't fix aren't open
+  --junit <file>       Write the results as JUnit XML
+  --json <file>        Write the results as JSON
+  -h, --help           Show this help
+
+Exits with 1 when a check fails and 2 when the input can't be used.`;
+
+const DEFAULT_DATA = 'public/data/cleaned_data.json';
+
+const MAX_LISTED = 10;
+
+const fail = (message) => {
+    console.error(`Error: ${message}\n\n${USAGE}`);
+    process.exit(2);
+};
+
+// Read and parse one input file, failing with its problems listed
+const load = async (file, what, parse) => {
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (err) {
+        fail(`Could not read ${what} ${file}: ${err.message}`);
+    }
+    try {
+        return parse(text);
+    } catch (err) {
+        const details = (err.details || []).map(detail => `\n  ${detail.line}: ${detail.message}`).join('');
+        fail(`Invalid ${what} ${file}: ${err.message}${details}`);
+    }
+};
+
+const printResults = (results) => {
+    results.forEach(result => {
+        console.log(`${result.passed ? 'PASS' : 'FAIL'}  ${result.id}: ${result.summary} (${result.pages} pages)`);
+        if (result.passed) return;
+        result.violations.slice(0, MAX_LISTED).forEach(violation => {
+            console.log(`        ${violation.url}: ${violation.message}`);
+        });
+        if (result.violations.length > MAX_LISTED) {
+            console.log(`        and ${result.violations.length - MAX_LISTED} more`);
+        }
+    });
+    const failed = results.filter(result => !result.passed).length;
+    console.log(`\n${results.length - failed} of ${results.length} checks passed`);
+};
+
+const main = async () => {
+    let options;
+    try {
+        ({ values: options } = parseArgs({
+            options: {
+                policy: { type: 'string' },
+                data: { type: 'string', default: DEFAULT_DATA },
+                rules: { type: 'string' },
+                'page-types': { type: 'string' },
+                tracker: { type: 'string' },
+                junit: { type: 'string' },
+                json: { type: 'string' },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        }));
+    } catch (err) {
+        fail(err.message);
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options.policy) fail('--policy is required');
+
+    const policy = await load(options.policy, 'policy', parsePolicy);
+    const ruleSet = options.rules ? await load(options.rules, 'rule set', parseRuleSet) : DEFAULT_RULE_SET;
+    const pageTypes = options['page-types'] ? await load(options['page-types'], 'page types export', parsePageTypesExport) : {};
+    const tracked = options.tracker ? await load(options.tracker, 'tracker export', parseRecordsExport) : [];
+    const dataset = await load(options.data, 'dataset', text => parseDatasetText(text, path.basename(options.data)));
+
+    if (dataset.skipped.length > 0) {
+        console.error(`Skipped ${dataset.skipped.length} malformed row(s) in ${options.data}`);
+    }
+
+    const { rows } = recomputeRecommendations(applyPageTypes(dataset, pageTypes), ruleSet);
+    const closedIssues = new Set(tracked.filter(isClosed).map(record => record.key));
+    const results = evaluatePolicy(rows, policy, { closedIssues });
+
+    console.log(`${options.data}: ${rows.length} pages analyzed\n`);
+    printResults(results);
+
+    if (options.junit) {
+        await writeFile(options.junit, toJUnit(results));
+        console.error(`Wrote JUnit results to ${options.junit}`);
+    }
+    if (options.json) {
+        const report = { data: options.data, pages: rows.length, passed: results.every(result => result.passed), results };
+        await writeFile(options.json, JSON.stringify(report, null, 2) + '\n');
+        console.error(`Wrote JSON results to ${options.json}`);
+    }
+
+    if (results.some(result => !result.passed)) process.exitCode = 1;
+};
+
+main().catch(err => {
+    console.error(err);
+    process.exit(2);
+});
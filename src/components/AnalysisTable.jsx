@@ -0,0 +1,161 @@
+import React, { useEffect, useRef } from 'react';
+import { ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+import IssueBreakdown from './IssueBreakdown';
+import { splitList } from '../lib/dataset';
+import { scoreBand } from '../lib/validator';
+import { displayUrl } from '../lib/domains';
+import { useVirtualRows } from '../hooks/useVirtualRows';
+
+// Rows have a fixed height so only the visible ones need rendering
+const ROW_HEIGHT = 56;
+const HEADER_HEIGHT = 48;
+
+// Separators are drawn with a shadow so they don't add to the row height
+const ROW_CLASS = 'cursor-pointer shadow-[inset_0_-1px_0_var(--color-gray-100)] dark:shadow-[inset_0_-1px_0_var(--color-gray-700)] hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors';
+
+const SCORE_BAND_COLORS = {
+    complete: 'bg-green-500',
+    partial: 'bg-yellow-500',
+    poor: 'bg-red-500'
+};
+
+const TABLE_COLUMNS = [
+    { key: 'url', label: 'URL', width: 'w-[28%]' },
+    { key: 'page_type', label: 'Page Type', width: 'w-[11%]' },
+    { key: 'schema_types_found', label: 'Schema Types', width: 'w-[23%]' },
+    { key: 'recommended_schemas', label: 'Recommended Schemas', width: 'w-[14%]' },
+    { key: 'schema_completeness_score', label: 'Score', width: 'w-[10%]' },
+    { key: 'validation_errors', label: 'Status', width: 'w-[14%]' }
+];
+
+/**
+ * Virtualized, sortable analysis table. Keeps the selected row in view and
+ * scrolls back to the top when the rows change otherwise. URLs on `domain`
+ * are shown as paths. Scores are the validator's (see withValidatorScore in
+ * src/lib/validator.js); a page where the crawler reported another score says
+ * so in the tooltip.
+ */
+const AnalysisTable = ({ rows, domain, sort, onSort, selectedUrl, onSelect }) => {
+    const containerRef = useRef(null);
+    const previousRowsRef = useRef(rows);
+    const { start, end, paddingTop, paddingBottom, scrollToIndex } = useVirtualRows(containerRef, rows.length, {
+        rowHeight: ROW_HEIGHT,
+        headerHeight: HEADER_HEIGHT
+    });
+
+    useEffect(() => {
+        const index = selectedUrl ? rows.findIndex(row => row.url === selectedUrl) : -1;
+        if (index !== -1) {
+            scrollToIndex(index);
+        } else if (previousRowsRef.current !== rows && containerRef.current) {
+            containerRef.current.scrollTop = 0;
+        }
+        previousRowsRef.current = rows;
+    }, [rows, selectedUrl, scrollToIndex]);
+
+    return (
+        <>
+            <div ref={containerRef} className="overflow-auto max-h-[70vh]">
+                <table className="w-full table-fixed text-left text-sm text-gray-600 dark:text-gray-300">
+                    <thead className="sticky top-0 z-10 bg-gray-50 dark:bg-gray-700 text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                        <tr style={{ height: HEADER_HEIGHT }}>
+                            {TABLE_COLUMNS.map(col => {
+                                const SortIcon = sort?.key !== col.key ? ArrowUpDown : sort.dir === 'asc' ? ArrowUp : ArrowDown;
+                                return (
+                                    <th key={col.key} className={`px-6 ${col.width}`}>
+                                        <button
+                                            onClick={() => onSort(col.key)}
+                                            className="inline-flex items-center gap-1 uppercase font-semibold hover:text-gray-700 dark:hover:text-gray-200"
+                                        >
+                                            {col.label}
+                                            <SortIcon className={`w-3.5 h-3.5 ${sort?.key === col.key ? 'text-blue-600 dark:text-blue-400' : 'opacity-50'}`} />
+                                        </button>
+                                    </th>
+                                );
+                            })}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {paddingTop > 0 && (
+                            <tr aria-hidden="true" style={{ height: paddingTop }}>
+                                <td colSpan={TABLE_COLUMNS.length} className="p-0" />
+                            </tr>
+                        )}
+                        {rows.slice(start, end).map(row => {
+                            const score = row.schema_completeness_score;
+                            const reported = row.reported_completeness_score;
+                            const differs = reported != null && reported !== score;
+                            return (
+                                <tr
+                                    key={row.url}
+                                    onClick={() => onSelect(row.url)}
+                                    style={{ height: ROW_HEIGHT }}
+                                    className={`${ROW_CLASS} ${row.url === selectedUrl ? 'bg-blue-50 dark:bg-blue-900/20' : ''}`}
+                                >
+                                    <td className="px-6 font-medium text-gray-900 dark:text-white truncate" title={row.url}>
+                                        {displayUrl(row.url, domain)}
+                                    </td>
+                                    <td className="px-6 truncate" title={row.original_page_type ? `Reclassified from ${row.original_page_type}` : undefined}>{row.page_type}</td>
+                                    <td className="px-6">
+                                        <div className="flex gap-1 overflow-hidden" title={row.schema_types_found}>
+                                            {splitList(row.schema_types_found).map((t, i) => {
+                                                if (t === 'Unspecified' || t === 'Unknown') return null;
+                                                return (
+                                                    <span key={i} className="shrink-0 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-50 text-blue-700 dark:bg-blue-900/20 dark:text-blue-300 border border-blue-100 dark:border-blue-800">
+                                                        {t}
+                                                    </span>
+                                                );
+                                            })}
+                                        </div>
+                                    </td>
+                                    <td className="px-6">
+                                        {row.recommended_schemas ? (
+                                            <div className="flex gap-1 overflow-hidden" title={row.recommended_schemas}>
+                                                {splitList(row.recommended_schemas).map((type, i) => (
+                                                    <span key={i} className="shrink-0 inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-50 text-purple-700 dark:bg-purple-900/20 dark:text-purple-300 border border-purple-100 dark:border-purple-800">
+                                                        {type}
+                                                    </span>
+                                                ))}
+                                            </div>
+                                        ) : (
+                                            <span className="text-gray-400 text-xs">-</span>
+                                        )}
+                                    </td>
+                                    <td className="px-6">
+                                        <div
+                                            className="flex items-center gap-2"
+                                            title={differs ? `The crawler reported ${reported}%` : undefined}
+                                        >
+                                            <div className="w-16 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                                                <div
+                                                    className={`h-full rounded-full ${SCORE_BAND_COLORS[scoreBand(score)]}`}
+                                                    style={{ width: `${score}%` }}
+                                                />
+                                            </div>
+                                            <span className="text-xs">
+                                                {score}%{differs && '*'}
+                                            </span>
+                                        </div>
+                                    </td>
+                                    <td className="px-6">
+                                        <IssueBreakdown row={row} compact />
+                                    </td>
+                                </tr>
+                            );
+                        })}
+                        {paddingBottom > 0 && (
+                            <tr aria-hidden="true" style={{ height: paddingBottom }}>
+                                <td colSpan={TABLE_COLUMNS.length} className="p-0" />
+                            </tr>
+                        )}
+                    </tbody>
+                </table>
+            </div>
+            <div className="p-4 border-t border-gray-100 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+                {rows.length > 0 ? `${rows.length} results` : 'No pages match the current filters'}
+            </div>
+        </>
+    );
+};
+
+export default AnalysisTable;
@@ -0,0 +1,167 @@
+import React, { useState, useMemo } from 'react';
+import { ArrowLeftRight, X } from 'lucide-react';
+import { diffDatasets } from '../lib/diff';
+import { primaryDomain, displayUrl } from '../lib/domains';
+
+const TABS = [
+    { key: 'added', label: 'Pages added' },
+    { key: 'removed', label: 'Pages removed' },
+    { key: 'typeChanges', label: 'Schema types changed' },
+    { key: 'improved', label: 'Score improved' },
+    { key: 'regressed', label: 'Score regressed' },
+    { key: 'errorsAppeared', label: 'Errors appeared' },
+    { key: 'errorsFixed', label: 'Errors fixed' },
+    { key: 'recommendationsResolved', label: 'Recommendations resolved' }
+];
+
+const Chip = ({ children, tone }) => {
+    const tones = {
+        green: 'bg-green-50 text-green-700 dark:bg-green-900/20 dark:text-green-300 border-green-100 dark:border-green-800',
+        red: 'bg-red-50 text-red-700 dark:bg-red-900/20 dark:text-red-300 border-red-100 dark:border-red-800',
+        gray: 'bg-gray-50 text-gray-700 dark:bg-gray-700/50 dark:text-gray-300 border-gray-200 dark:border-gray-600'
+    };
+    return (
+        <span className={`inline-flex items-center px-2 py-0.5 rounded text-xs font-medium border ${tones[tone]}`}>
+            {children}
+        </span>
+    );
+};
+
+const ScoreDelta = ({ change }) => (
+    <span className={change.scoreDelta > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'}>
+        {change.scoreBefore}% → {change.scoreAfter}% ({change.scoreDelta > 0 ? '+' : ''}{change.scoreDelta})
+    </span>
+);
+
+const ChangeDetails = ({ tab, change }) => {
+    switch (tab) {
+        case 'typeChanges':
+            return (
+                <div className="flex flex-wrap gap-1">
+                    {change.typesGained.map(t => <Chip key={`+${t}`} tone="green">+ {t}</Chip>)}
+                    {change.typesLost.map(t => <Chip key={`-${t}`} tone="red">− {t}</Chip>)}
+                </div>
+            );
+        case 'improved':
+        case 'regressed':
+            return <ScoreDelta change={change} />;
+        case 'errorsAppeared':
+            return (
+                <div className="space-y-1">
+                    <div>{change.errorsBefore} → {change.errorsAfter} validation errors</div>
+                    {change.errorsAppeared.map(msg => <Chip key={msg} tone="red">{msg}</Chip>)}
+                </div>
+            );
+        case 'errorsFixed':
+            return (
+                <div className="space-y-1">
+                    <div>{change.errorsBefore} → {change.errorsAfter} validation errors</div>
+                    {change.errorsFixed.map(msg => <Chip key={msg} tone="green">{msg}</Chip>)}
+                </div>
+            );
+        case 'recommendationsResolved':
+            return (
+                <div className="flex flex-wrap gap-1">
+                    {change.recommendationsResolved.map(rec => <Chip key={rec} tone="green">{rec}</Chip>)}
+                </div>
+            );
+        default:
+            return null;
+    }
+};
+
+const CrawlDiff = ({ before, after, onSwap, onClose }) => {
+    const [activeTab, setActiveTab] = useState('typeChanges');
+
+    const diff = useMemo(() => diffDatasets(before.rows, after.rows), [before, after]);
+    const domain = useMemo(() => primaryDomain(before.rows), [before]);
+
+    const items = diff[activeTab];
+    const isPageList = activeTab === 'added' || activeTab === 'removed';
+    const avgDelta = diff.avgScoreAfter - diff.avgScoreBefore;
+
+    return (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 dark:border-gray-700 flex flex-col sm:flex-row gap-4 justify-between sm:items-center">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Crawl Comparison</h3>
+                    <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                        <strong>{before.name}</strong> ({before.rows.length} pages) → <strong>{after.name}</strong> ({after.rows.length} pages).
+                        Avg. completeness {diff.avgScoreBefore.toFixed(1)}% → {diff.avgScoreAfter.toFixed(1)}%
+                        <span className={avgDelta >= 0 ? ' text-green-600 dark:text-green-400' : ' text-red-600 dark:text-red-400'}>
+                            {' '}({avgDelta >= 0 ? '+' : ''}{avgDelta.toFixed(1)})
+                        </span>
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <button
+                        onClick={onSwap}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <ArrowLeftRight className="w-3.5 h-3.5" />
+                        Swap
+                    </button>
+                    <button
+                        onClick={onClose}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <X className="w-3.5 h-3.5" />
+                        Close comparison
+                    </button>
+                </div>
+            </div>
+
+            <div className="flex flex-wrap gap-2 p-4 border-b border-gray-100 dark:border-gray-700">
+                {TABS.map(tab => (
+                    <button
+                        key={tab.key}
+                        onClick={() => setActiveTab(tab.key)}
+                        className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${activeTab === tab.key
+                            ? 'bg-blue-600 text-white'
+                            : 'bg-gray-50 text-gray-700 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600'
+                            }`}
+                    >
+                        {tab.label} <span className="opacity-75">({diff[tab.key].length})</span>
+                    </button>
+                ))}
+            </div>
+
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                {items.length === 0 ? (
+                    <p className="p-6 text-sm text-gray-500 dark:text-gray-400">No pages in this category.</p>
+                ) : (
+                    <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                        <thead className="bg-gray-50 dark:bg-gray-700/50 text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                            <tr>
+                                <th className="px-6 py-3">URL</th>
+                                <th className="px-6 py-3">{isPageList ? 'Page Type' : 'Change'}</th>
+                                {isPageList && <th className="px-6 py-3">Score</th>}
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                            {items.map(item => (
+                                <tr key={item.url}>
+                                    <td className="px-6 py-3 font-medium text-gray-900 dark:text-white truncate max-w-md" title={item.url}>
+                                        {displayUrl(item.url, domain)}
+                                    </td>
+                                    {isPageList ? (
+                                        <>
+                                            <td className="px-6 py-3">{item.page_type}</td>
+                                            <td className="px-6 py-3">{item.schema_completeness_score}%</td>
+                                        </>
+                                    ) : (
+                                        <td className="px-6 py-3">
+                                            <ChangeDetails tab={activeTab} change={item} />
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default CrawlDiff;
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell } from 'recharts';
+import { displayUrl } from '../lib/domains';
+
+const SECTION_PREVIEW = 8;
+const EXCLUDED_PREVIEW = 100;
+
+const statusColor = (status) => {
+    if (status >= 500) return '#EF4444';
+    if (status >= 400) return '#F59E0B';
+    if (status >= 300) return '#3B82F6';
+    return '#10B981';
+};
+
+const tooltipProps = {
+    contentStyle: { backgroundColor: '#1F2937', border: 'none', borderRadius: '8px', color: '#F3F4F6' },
+    itemStyle: { color: '#F3F4F6' }
+};
+
+const Card = ({ title, subtitle, children }) => (
+    <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white">{title}</h3>
+        {subtitle && <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">{subtitle}</p>}
+        <div className="mt-4">{children}</div>
+    </div>
+);
+
+const RenderingStat = ({ label, stats }) => (
+    <div className="flex-1 p-3 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+        <p className="text-xs text-gray-500 dark:text-gray-400 font-medium">{label}</p>
+        <p className="text-xl font-bold text-gray-900 dark:text-white">{stats.pages}</p>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+            {stats.withSchema} with schema, avg. {stats.avgScore.toFixed(1)}%
+        </p>
+    </div>
+);
+
+/**
+ * Crawl health: status codes, pages excluded from the analysis, reachability
+ * per site section and how many pages rely on client-side rendering.
+ * `health` holds the src/lib/crawlHealth.js breakdowns for the current section;
+ * URLs on `domain` are shown as paths.
+ */
+const CrawlHealth = ({ health, domain }) => {
+    const [showAllSections, setShowAllSections] = useState(false);
+    const { crawled, statuses, excluded, reachability, rendering } = health;
+    const visibleSections = showAllSections ? reachability : reachability.slice(0, SECTION_PREVIEW);
+
+    return (
+        <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <Card
+                    title="Crawl Status"
+                    subtitle={`${crawled} URLs crawled, ${excluded.length} excluded from the schema analysis`}
+                >
+                    <div className="h-48">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <BarChart data={statuses.map(({ status, count }) => ({ name: String(status), count }))}>
+                                <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
+                                <XAxis dataKey="name" stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} />
+                                <YAxis stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} allowDecimals={false} />
+                                <Tooltip {...tooltipProps} />
+                                <Bar dataKey="count" name="Pages" radius={[4, 4, 0, 0]}>
+                                    {statuses.map(({ status }) => (
+                                        <Cell key={status} fill={statusColor(status)} />
+                                    ))}
+                                </Bar>
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </div>
+                </Card>
+
+                <Card title="Reachability by Section" subtitle="Share of crawled URLs that answered 200, least reachable first">
+                    <ul className="space-y-2">
+                        {visibleSections.map(({ path, total, reachable, share }) => (
+                            <li key={path} className="flex items-center gap-3 text-sm">
+                                <span className="w-40 truncate text-gray-900 dark:text-white" title={path}>{path}</span>
+                                <div className="flex-1 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
+                                    <div
+                                        className={`h-full rounded-full ${share < 1 ? 'bg-orange-500' : 'bg-green-500'}`}
+                                        style={{ width: `${share * 100}%` }}
+                                    />
+                                </div>
+                                <span className="w-24 text-right text-xs text-gray-500 dark:text-gray-400">
+                                    {reachable}/{total} ({(share * 100).toFixed(0)}%)
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                    {reachability.length > SECTION_PREVIEW && (
+                        <button
+                            onClick={() => setShowAllSections(prev => !prev)}
+                            className="mt-3 text-xs font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                        >
+                            {showAllSections ? 'Show fewer' : `Show all ${reachability.length} sections`}
+                        </button>
+                    )}
+                </Card>
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                <Card title="Excluded URLs" subtitle="Pages that didn't answer 200 and carry no analysed schema">
+                    {excluded.length === 0 ? (
+                        <p className="text-sm text-gray-500 dark:text-gray-400">Every crawled URL answered 200.</p>
+                    ) : (
+                        <div className="overflow-x-auto max-h-64 overflow-y-auto">
+                            <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                                <thead className="text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                                    <tr>
+                                        <th className="py-2 pr-4">URL</th>
+                                        <th className="py-2 pr-4">Status</th>
+                                        <th className="py-2">Page Type</th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                                    {excluded.slice(0, EXCLUDED_PREVIEW).map(row => (
+                                        <tr key={row.url}>
+                                            <td className="py-2 pr-4 font-medium text-gray-900 dark:text-white truncate max-w-xs" title={row.url}>
+                                                {displayUrl(row.url, domain)}
+                                            </td>
+                                            <td className="py-2 pr-4">
+                                                <span
+                                                    className="inline-flex px-2 py-0.5 rounded text-xs font-medium text-white"
+                                                    style={{ backgroundColor: statusColor(row.status_code) }}
+                                                >
+                                                    {row.status_code}
+                                                </span>
+                                            </td>
+                                            <td className="py-2">{row.page_type}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                            {excluded.length > EXCLUDED_PREVIEW && (
+                                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">
+                                    and {excluded.length - EXCLUDED_PREVIEW} more
+                                </p>
+                            )}
+                        </div>
+                    )}
+                </Card>
+
+                <Card title="Client-side Rendering" subtitle="Schema on JS-rendered pages is only visible to crawlers that execute JavaScript">
+                    <div className="flex gap-3 mb-4">
+                        <RenderingStat label="JS rendered" stats={rendering.rendered} />
+                        <RenderingStat label="Static HTML" stats={rendering.static} />
+                    </div>
+                    <div className="h-40">
+                        <ResponsiveContainer width="100%" height="100%">
+                            <BarChart data={rendering.byPageType} layout="vertical">
+                                <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
+                                <XAxis type="number" stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} allowDecimals={false} />
+                                <YAxis type="category" dataKey="name" width={120} stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} />
+                                <Tooltip {...tooltipProps} />
+                                <Legend />
+                                <Bar dataKey="rendered" name="JS rendered" stackId="a" fill="#F59E0B" />
+                                <Bar dataKey="static" name="Static HTML" stackId="a" fill="#10B981" />
+                            </BarChart>
+                        </ResponsiveContainer>
+                    </div>
+                </Card>
+            </div>
+        </div>
+    );
+};
+
+export default CrawlHealth;
@@ -1,10 +1,48 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useRef, useEffect } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell } from 'recharts';
-import { Search, LayoutDashboard, FileText, AlertCircle, CheckCircle, Filter } from 'lucide-react';
-import data from '../data/cleaned_data.json';
+import { Search, LayoutDashboard, FileText, AlertCircle, CheckCircle, Filter, Download, Printer } from 'lucide-react';
+import DatasetLoader from './DatasetLoader';
+import CrawlDiff from './CrawlDiff';
+import PageDetailDrawer from './PageDetailDrawer';
+import FacetPanel from './FacetPanel';
+import SectionTree from './SectionTree';
+import SchemaCooccurrence from './SchemaCooccurrence';
+import CrawlHealth from './CrawlHealth';
+import AnalysisTable from './AnalysisTable';
+import RemediationTracker from './RemediationTracker';
+import SnapshotHistory from './SnapshotHistory';
+import RuleEditor from './RuleEditor';
+import PageTypeClassifier from './PageTypeClassifier';
+import DomainBenchmark from './DomainBenchmark';
+import { ANALYSIS_COLUMNS, parseRecommendations, fetchDataset } from '../lib/dataset';
+import { bulkExportFiles } from '../lib/jsonld';
+import { createZip } from '../lib/zip';
+import { downloadFile } from '../lib/download';
+import { toCsv } from '../lib/csv';
+import { buildReportHtml, snapshotChart } from '../lib/report';
+import { decodeView, encodeView } from '../lib/viewState';
+import { DEFAULT_FACETS, FLAG_FACETS, activeFacetCount } from '../lib/filters';
+import { inSection } from '../lib/sections';
+import { summaryStats } from '../lib/aggregate';
+import { exportRecords } from '../lib/remediation';
+import { isLatestSnapshot } from '../lib/snapshots';
+import { exportPageTypes } from '../lib/pageTypeRules';
+import { benchmarkEntries } from '../lib/benchmark';
+import { useUrlState } from '../hooks/useUrlState';
+import { useAnalysisWorker } from '../hooks/useAnalysisWorker';
+import { useRefinedDatasets } from '../hooks/useRefinedDatasets';
+import { useRemediation } from '../hooks/useRemediation';
+import { useSnapshots } from '../hooks/useSnapshots';
+import { useRuleSet } from '../hooks/useRuleSet';
+import { usePageTypes } from '../hooks/usePageTypes';
 
 const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#82ca9d'];
 
+// Fetched at runtime rather than bundled into the build, see clean_data.py
+const BUNDLED_DATASET_URL = `${import.meta.env.BASE_URL}data/cleaned_data.json`;
+
+const NO_ROWS = [];
+
 const StatCard = ({ title, value, icon: Icon, color }) => (
     <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700">
         <div className="flex items-center justify-between">
@@ -20,135 +58,263 @@ const StatCard = ({ title, value, icon: Icon, color }) => (
 );
 
 const Dashboard = () => {
-    const [searchTerm, setSearchTerm] = useState('');
-    const [filterType, setFilterType] = useState('All');
-    const [currentPage, setCurrentPage] = useState(1);
-    const ITEMS_PER_PAGE = 50;
-
-    const [recommendationFilter, setRecommendationFilter] = useState(null);
-
-    const stats = useMemo(() => {
-        const totalPages = data.length;
-        const avgScore = data.reduce((acc, curr) => acc + (curr.schema_completeness_score || 0), 0) / totalPages;
-        const withReviews = data.filter(d => d.has_reviews).length;
-        const withFaq = data.filter(d => d.has_faq).length;
-
-        return {
-            totalPages,
-            avgScore: avgScore.toFixed(1),
-            withReviews,
-            withFaq
-        };
+    const [bundledDataset, setBundledDataset] = useState(null);
+    const [bundledError, setBundledError] = useState(null);
+    const [loadedDataset, setLoadedDataset] = useState(null);
+    // Datasets as loaded, before page types are refined and the recommendation rules applied
+    const sourceDataset = loadedDataset || bundledDataset;
+    // Second crawl loaded for comparison against `dataset`
+    const [comparisonDataset, setComparisonDataset] = useState(null);
+    // Crawls of other brands or competitors, compared per domain
+    const [benchmarkDatasets, setBenchmarkDatasets] = useState([]);
+
+    // Page types come from the crawler refined by accepted reclassifications,
+    // recommendations from the editable rule set rather than the export. Both
+    // are applied in the analysis worker.
+    const rules = useRuleSet();
+    const pageTypes = usePageTypes();
+    const { accepted } = pageTypes;
+    const refinement = { ruleSet: rules.ruleSet, accepted, classifier: pageTypes.classifier };
+    const comparisonDatasets = useMemo(() => comparisonDataset ? [comparisonDataset] : [], [comparisonDataset]);
+    const [comparison = null] = useRefinedDatasets(comparisonDatasets, refinement);
+    const benchmarks = useRefinedDatasets(benchmarkDatasets, refinement);
+
+    useEffect(() => {
+        fetchDataset(BUNDLED_DATASET_URL)
+            .then(setBundledDataset)
+            .catch(err => setBundledError(err.message));
     }, []);
 
-    const chartData = useMemo(() => {
-        const typeCount = {};
-        data.forEach(item => {
-            // Unravel schema_types_found
-            const types = (item.schema_types_found || '').split(',').map(t => t.trim());
-            types.forEach(type => {
-                if (type && type !== 'Unspecified' && type !== 'Unknown') {
-                    typeCount[type] = (typeCount[type] || 0) + 1;
-                }
-            });
-        });
-        return Object.entries(typeCount)
-            .map(([name, value]) => ({ name, value }))
-            .sort((a, b) => b.value - a.value);
-    }, []);
+    // Filters, sorting and the page open in the detail drawer live in the query string
+    const [view, updateView] = useUrlState(decodeView, encodeView);
+    const {
+        search: searchTerm,
+        section,
+        facets,
+        recommendation: recommendationFilter,
+        sort,
+        selectedUrl
+    } = view;
+    const [showFacets, setShowFacets] = useState(() => activeFacetCount(facets) > 0);
+
+    // Refinement, aggregation and filtering run in a worker; stat cards,
+    // charts and table all follow the selected site section. `dataset` is the
+    // refined dataset the result was computed from, which lags behind
+    // `sourceDataset` while a replaced dataset is analyzed.
+    const {
+        dataset,
+        sectionTree,
+        fireCounts,
+        domains,
+        result,
+        pending,
+        proposals,
+        acceptedChanges
+    } = useAnalysisWorker(sourceDataset, refinement, {
+        section,
+        search: searchTerm,
+        recommendation: recommendationFilter,
+        facets,
+        sort
+    });
+    const data = dataset ? dataset.rows : NO_ROWS;
+
+    // URLs on the dataset's main domain are shown as paths
+    const siteDomain = domains ? domains[0] || '' : '';
+    const benchmark = useMemo(() => {
+        if (!dataset || (benchmarks.length === 0 && domains.length < 2)) return [];
+        return benchmarkEntries([dataset, ...benchmarks]);
+    }, [dataset, benchmarks, domains]);
+
+    // Every loaded dataset is kept as a dated snapshot
+    const snapshotHistory = useSnapshots(sourceDataset);
+    const { current: currentSnapshot } = snapshotHistory;
+    const isLatestCrawl = Boolean(currentSnapshot) && isLatestSnapshot(snapshotHistory.snapshots, currentSnapshot);
+
+    // The first load of the latest crawl reconciles the tracked issues with
+    // it, later rule edits only add issues; opening an older snapshot leaves
+    // them alone. Without snapshot storage every crawl counts as the latest.
+    const reconcileLatest = Boolean(dataset) && dataset.fingerprint === sourceDataset.fingerprint
+        && (isLatestCrawl || Boolean(snapshotHistory.error));
+    const remediation = useRemediation(data, reconcileLatest ? dataset.fingerprint : null);
 
-    const pageTypeData = useMemo(() => {
-        const typeCount = {};
-        data.forEach(item => {
-            const type = item.page_type || 'Uncategorized';
-            if (type !== 'Uncategorized') {
-                typeCount[type] = (typeCount[type] || 0) + 1;
-            }
-        });
-        return Object.entries(typeCount)
-            .map(([name, value]) => ({ name, value }))
-            .sort((a, b) => b.value - a.value);
-    }, []);
+    const filteredData = useMemo(() => {
+        return result ? Array.from(result.indices, index => data[index]) : NO_ROWS;
+    }, [result, data]);
+
+    const schemaChartRef = useRef(null);
+    const pageTypeChartRef = useRef(null);
+    const recommendationChartRef = useRef(null);
+
+    if (!result || !sectionTree) {
+        return (
+            <div className="min-h-screen bg-gray-50 dark:bg-gray-900 p-8 font-sans flex items-center justify-center">
+                {bundledError && !sourceDataset ? (
+                    <div className="flex items-start gap-3 p-4 rounded-xl bg-red-50 dark:bg-red-900/20 border border-red-100 dark:border-red-800 text-red-800 dark:text-red-300">
+                        <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+                        <p className="text-sm">{bundledError}</p>
+                    </div>
+                ) : (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        {sourceDataset ? `Analyzing ${sourceDataset.crawl.length} crawled URLs...` : 'Loading dataset...'}
+                    </p>
+                )}
+            </div>
+        );
+    }
+
+    const { stats, chartData, pageTypeData, recommendedSchemaData, counts, cooccurrence, gaps, health } = result;
+
+    const handleJsonLdExport = () => {
+        const { schema, priority } = recommendationFilter;
+        const matches = data.filter(item => inSection(item.url, section) && parseRecommendations(item.recommendation_priority).some(rec =>
+            rec.schema === schema && rec.priority === priority
+        ));
+        const zip = createZip(bulkExportFiles(matches, schema));
+        downloadFile(new Blob([zip], { type: 'application/zip' }), `jsonld-${schema}-${priority}.zip`);
+    };
 
-    const recommendedSchemaData = useMemo(() => {
-        const schemaStats = {};
-
-        data.forEach(item => {
-            if (!item.recommendation_priority) return;
-
-            // Handle multiple recommendations if comma separated
-            const recs = (item.recommendation_priority || '').split(',');
-            recs.forEach(rec => {
-                const match = rec.match(/(.+)\((.+)\)/);
-                if (match) {
-                    const schema = match[1].trim();
-                    const priority = match[2].trim(); // "High", "Medium", "Low"
-
-                    if (!schemaStats[schema]) {
-                        schemaStats[schema] = { name: schema, High: 0, Medium: 0, Low: 0 };
-                    }
-                    if (schemaStats[schema][priority] !== undefined) {
-                        schemaStats[schema][priority]++;
-                    }
-                }
-            });
-        });
+    const updateSearchTerm = (value) => {
+        // One history entry per search, not per keystroke
+        updateView({ search: value }, { replace: Boolean(searchTerm) && Boolean(value) });
+    };
 
-        return Object.values(schemaStats).sort((a, b) => {
-            const totalA = a.High + a.Medium + a.Low;
-            const totalB = b.High + b.Medium + b.Low;
-            return totalB - totalA;
-        });
-    }, []);
+    const updateFacets = (value) => {
+        updateView({ facets: value });
+    };
 
-    const filteredData = useMemo(() => {
-        return data.filter(item => {
-            const matchesSearch = item.url.toLowerCase().includes(searchTerm.toLowerCase());
-            const itemTypes = (item.schema_types_found || '').split(',').map(t => t.trim());
-            const matchesFilter = filterType === 'All' || itemTypes.includes(filterType);
-
-            let matchesRecommendation = true;
-            if (recommendationFilter) {
-                const recs = (item.recommendation_priority || '').split(',');
-                matchesRecommendation = recs.some(rec => {
-                    const match = rec.match(/(.+)\((.+)\)/);
-                    if (match) {
-                        const schema = match[1].trim();
-                        const priority = match[2].trim();
-                        return schema === recommendationFilter.schema && priority === recommendationFilter.priority;
-                    }
-                    return false;
-                });
-            }
-
-            return matchesSearch && matchesFilter && matchesRecommendation;
+    // Click cycles ascending -> descending -> unsorted
+    const toggleSort = (key) => {
+        let next = { key, dir: 'asc' };
+        if (sort && sort.key === key) {
+            next = sort.dir === 'asc' ? { key, dir: 'desc' } : null;
+        }
+        updateView({ sort: next });
+    };
+
+    const updateRecommendationFilter = (value) => {
+        updateView({ recommendation: value });
+    };
+
+    // Co-occurrence cell: pages carrying both types (the diagonal is a single type)
+    const filterBySchemaPair = (a, b) => {
+        updateFacets({ ...DEFAULT_FACETS, schemaTypes: a === b ? [a] : [a, b], schemaTypeMode: 'all' });
+        setShowFacets(true);
+    };
+
+    // Gap: pages of the page type that lack the schema type
+    const filterBySchemaGap = (pageType, schemaType) => {
+        updateFacets({ ...DEFAULT_FACETS, pageTypes: [pageType], schemaTypes: [schemaType], schemaTypeMode: 'none' });
+        setShowFacets(true);
+    };
+
+    const updateSection = (value) => {
+        updateView({ section: value });
+    };
+
+    const exportBaseName = dataset.name.replace(/\.[^.]+$/, '');
+
+    // Exports keep the original column names so the files load back into the dashboard
+    const handleExport = (format) => {
+        const rows = filteredData.map(row => Object.fromEntries(ANALYSIS_COLUMNS.map(col => [col, row[col]])));
+        if (format === 'csv') {
+            downloadFile(toCsv(rows, ANALYSIS_COLUMNS), `${exportBaseName}-filtered.csv`, 'text/csv');
+        } else {
+            downloadFile(JSON.stringify(rows, null, 2), `${exportBaseName}-filtered.json`, 'application/json');
+        }
+    };
+
+    const handleRulesExport = () => {
+        downloadFile(JSON.stringify(rules.ruleSet, null, 2), 'recommendation-rules.json', 'application/json');
+    };
+
+    const handleClassifierExport = () => {
+        downloadFile(JSON.stringify(pageTypes.classifier, null, 2), 'page-type-rules.json', 'application/json');
+    };
+
+    const handlePageTypesExport = () => {
+        downloadFile(exportPageTypes(accepted), `${exportBaseName}-page-types.json`, 'application/json');
+    };
+
+    const handleRemediationExport = () => {
+        downloadFile(exportRecords(remediation.records), `${exportBaseName}-remediation.json`, 'application/json');
+    };
+
+    const buildReport = () => {
+        const filters = [];
+        if (section) filters.push(`Site section: ${section}`);
+        if (searchTerm) filters.push(`URL contains "${searchTerm}"`);
+        if (facets.schemaTypes.length > 0) {
+            filters.push(`Schema types (${facets.schemaTypeMode}): ${facets.schemaTypes.join(', ')}`);
+        }
+        if (facets.pageTypes.length > 0) filters.push(`Page type: ${facets.pageTypes.join(', ')}`);
+        if (facets.primaryTypes.length > 0) filters.push(`Primary type: ${facets.primaryTypes.join(', ')}`);
+        FLAG_FACETS.forEach(({ key, label }) => {
+            if (facets[key] !== null) filters.push(`${label}: ${facets[key] ? 'Yes' : 'No'}`);
         });
-    }, [searchTerm, filterType, recommendationFilter]);
-
-    // Reset to page 1 when filters change
-    useMemo(() => {
-        setCurrentPage(1);
-    }, [searchTerm, filterType, recommendationFilter]);
-
-    const paginatedData = useMemo(() => {
-        const startIndex = (currentPage - 1) * ITEMS_PER_PAGE;
-        return filteredData.slice(startIndex, startIndex + ITEMS_PER_PAGE);
-    }, [filteredData, currentPage]);
-
-    const totalPages = Math.ceil(filteredData.length / ITEMS_PER_PAGE);
-
-    const uniqueSchemaTypes = useMemo(() => {
-        const types = new Set();
-        data.forEach(item => {
-            const itemTypes = (item.schema_types_found || '').split(',').map(t => t.trim());
-            itemTypes.forEach(t => {
-                if (t && t !== 'Unspecified' && t !== 'Unknown') {
-                    types.add(t);
-                }
-            });
+        if (facets.scoreMin > 0 || facets.scoreMax < 100) filters.push(`Score ${facets.scoreMin}-${facets.scoreMax}%`);
+        if (facets.errors) filters.push(facets.errors === 'with' ? 'Has validation errors' : 'No validation errors');
+        if (recommendationFilter) filters.push(`Recommendation ${recommendationFilter.schema} (${recommendationFilter.priority})`);
+
+        // Stat cards cover the filtered pages like the issue table; the charts
+        // are copies of the dashboard's, which only follow the site section
+        const reportStats = summaryStats(filteredData);
+        const chartScope = section ? `all pages in ${section}` : 'all pages';
+        return buildReportHtml({
+            title: 'Schema Analysis Report',
+            datasetName: dataset.name,
+            filters,
+            stats: [
+                { title: 'Pages Matching Filters', value: reportStats.totalPages },
+                { title: 'Avg. Completeness', value: `${reportStats.avgScore.toFixed(1)}%` },
+                { title: 'Pages with Reviews', value: reportStats.withReviews },
+                { title: 'Pages with FAQ', value: reportStats.withFaq }
+            ],
+            charts: [
+                { title: `Schema Types Distribution (All Found, ${chartScope})`, markup: snapshotChart(schemaChartRef.current) },
+                { title: `Page Type Distribution (${chartScope})`, markup: snapshotChart(pageTypeChartRef.current) },
+                { title: `Recommended Schemas by Priority (${chartScope})`, markup: snapshotChart(recommendationChartRef.current) }
+            ],
+            rows: filteredData
         });
-        return ['All', ...Array.from(types).sort()];
-    }, []);
+    };
+
+    const handleReportDownload = () => {
+        downloadFile(buildReport(), `${exportBaseName}-report.html`, 'text/html');
+    };
+
+    const handleReportPrint = () => {
+        const url = URL.createObjectURL(new Blob([buildReport()], { type: 'text/html' }));
+        const reportWindow = window.open(url, '_blank');
+        if (reportWindow) {
+            reportWindow.addEventListener('load', () => {
+                reportWindow.print();
+                URL.revokeObjectURL(url);
+            });
+        }
+    };
+
+    const handleDatasetLoad = (nextDataset) => {
+        setLoadedDataset(nextDataset);
+        updateView({ section: null, facets: DEFAULT_FACETS, recommendation: null });
+    };
+
+    // Datasets are told apart by content, exports tend to share a file name
+    const addBenchmark = (benchmarkDataset) => {
+        if (sourceDataset && benchmarkDataset.fingerprint === sourceDataset.fingerprint) return;
+        setBenchmarkDatasets(prev => prev.some(item => item.fingerprint === benchmarkDataset.fingerprint)
+            ? prev
+            : [...prev, benchmarkDataset]);
+    };
+
+    const openSnapshot = (key) => snapshotHistory.openSnapshot(key).then(handleDatasetLoad);
+
+    // The drawer follows the filtered result set, so a page filtered out closes it
+    const selectedIndex = selectedUrl ? filteredData.findIndex(item => item.url === selectedUrl) : -1;
+
+    const selectByIndex = (index) => {
+        updateView({ selectedUrl: filteredData[index].url });
+    };
 
     const handleBarClick = (data, index, e) => {
         // Recharts doesn't consistently pass the clicked stack ID in the first argument for stacked bars
@@ -168,19 +334,74 @@ const Dashboard = () => {
                 <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
                     <div>
                         <h1 className="text-3xl font-bold text-gray-900 dark:text-white tracking-tight">Schema Analysis Dashboard</h1>
-                        <p className="text-gray-500 dark:text-gray-400 mt-1">Overview of eFax schema implementation status</p>
+                        <p className="text-gray-500 dark:text-gray-400 mt-1">Overview of {siteDomain || dataset.name} schema implementation status</p>
                     </div>
                     <div className="flex items-center gap-3">
+                        <button
+                            onClick={handleReportDownload}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                        >
+                            <Download className="w-3.5 h-3.5" />
+                            Report
+                        </button>
+                        <button
+                            onClick={handleReportPrint}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                        >
+                            <Printer className="w-3.5 h-3.5" />
+                            Print
+                        </button>
                         <span className="text-sm text-gray-500 dark:text-gray-400 bg-white dark:bg-gray-800 px-3 py-1 rounded-full border border-gray-200 dark:border-gray-700">
-                            Last updated: Today
+                            {(currentSnapshot || dataset).crawlDate ? `Crawled ${(currentSnapshot || dataset).crawlDate}` : 'Crawl date unknown'}
+                            {currentSnapshot && !isLatestCrawl && ' (past snapshot)'}
                         </span>
                     </div>
                 </div>
 
+                <DatasetLoader
+                    dataset={dataset}
+                    isBundled={sourceDataset === bundledDataset}
+                    onLoad={handleDatasetLoad}
+                    onReset={() => handleDatasetLoad(bundledDataset)}
+                    onCompare={setComparisonDataset}
+                    onBenchmark={addBenchmark}
+                />
+
+                {comparison && (
+                    <CrawlDiff
+                        before={dataset}
+                        after={comparison}
+                        onSwap={() => {
+                            setComparisonDataset(sourceDataset);
+                            handleDatasetLoad(comparisonDataset);
+                        }}
+                        onClose={() => setComparisonDataset(null)}
+                    />
+                )}
+
+                <SnapshotHistory
+                    snapshots={snapshotHistory.snapshots}
+                    current={currentSnapshot}
+                    error={snapshotHistory.error}
+                    onOpen={openSnapshot}
+                    onUpdate={snapshotHistory.updateSnapshot}
+                    onDelete={snapshotHistory.deleteSnapshot}
+                />
+
+                {benchmark.length > 1 && (
+                    <DomainBenchmark
+                        entries={benchmark}
+                        primaryFingerprint={dataset.fingerprint}
+                        onRemove={(fingerprint) => setBenchmarkDatasets(prev => prev.filter(item => item.fingerprint !== fingerprint))}
+                    />
+                )}
+
+                <SectionTree tree={sectionTree} selected={section} onSelect={updateSection} />
+
                 {/* Stats Grid */}
                 <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
                     <StatCard title="Total Pages Analyzed" value={stats.totalPages} icon={FileText} color="bg-blue-500" />
-                    <StatCard title="Avg. Completeness" value={`${stats.avgScore}%`} icon={CheckCircle} color="bg-green-500" />
+                    <StatCard title="Avg. Completeness" value={`${stats.avgScore.toFixed(1)}%`} icon={CheckCircle} color="bg-green-500" />
                     <StatCard title="Pages with Reviews" value={stats.withReviews} icon={LayoutDashboard} color="bg-purple-500" />
                     <StatCard title="Pages with FAQ" value={stats.withFaq} icon={AlertCircle} color="bg-orange-500" />
                 </div>
@@ -190,7 +411,7 @@ const Dashboard = () => {
                     {/* Primary Schema Distribution */}
                     <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700">
                         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Schema Types Distribution (All Found)</h3>
-                        <div className="h-80">
+                        <div className="h-80" ref={schemaChartRef}>
                             <ResponsiveContainer width="100%" height="100%">
                                 <BarChart data={chartData}>
                                     <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
@@ -209,7 +430,7 @@ const Dashboard = () => {
                     {/* Page Type Distribution */}
                     <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700">
                         <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Page Type Distribution</h3>
-                        <div className="h-80">
+                        <div className="h-80" ref={pageTypeChartRef}>
                             <ResponsiveContainer width="100%" height="100%">
                                 <PieChart>
                                     <Pie
@@ -237,29 +458,40 @@ const Dashboard = () => {
                     </div>
                 </div>
 
+                <SchemaCooccurrence matrix={cooccurrence} gaps={gaps} onSelectPair={filterBySchemaPair} onSelectGap={filterBySchemaGap} />
+
                 {/* Recommendations Section */}
                 <div className="grid grid-cols-1 gap-6">
                     <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700">
                         <div className="flex justify-between items-center mb-6">
                             <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Recommended Schemas by Priority</h3>
                             {recommendationFilter && (
-                                <div className="flex items-center gap-2 bg-blue-50 dark:bg-blue-900/20 px-3 py-1.5 rounded-lg border border-blue-100 dark:border-blue-800">
-                                    <span className="text-sm text-blue-700 dark:text-blue-300">
-                                        Filtering by: <strong>{recommendationFilter.schema}</strong> ({recommendationFilter.priority})
-                                    </span>
+                                <div className="flex items-center gap-2">
                                     <button
-                                        onClick={() => setRecommendationFilter(null)}
-                                        className="p-1 hover:bg-blue-100 dark:hover:bg-blue-800 rounded-full transition-colors"
+                                        onClick={handleJsonLdExport}
+                                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
                                     >
-                                        <span className="sr-only">Clear filter</span>
-                                        <svg className="w-4 h-4 text-blue-700 dark:text-blue-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                                        </svg>
+                                        <Download className="w-3.5 h-3.5" />
+                                        Export JSON-LD
                                     </button>
+                                    <div className="flex items-center gap-2 bg-blue-50 dark:bg-blue-900/20 px-3 py-1.5 rounded-lg border border-blue-100 dark:border-blue-800">
+                                        <span className="text-sm text-blue-700 dark:text-blue-300">
+                                            Filtering by: <strong>{recommendationFilter.schema}</strong> ({recommendationFilter.priority})
+                                        </span>
+                                        <button
+                                            onClick={() => updateRecommendationFilter(null)}
+                                            className="p-1 hover:bg-blue-100 dark:hover:bg-blue-800 rounded-full transition-colors"
+                                        >
+                                            <span className="sr-only">Clear filter</span>
+                                            <svg className="w-4 h-4 text-blue-700 dark:text-blue-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                                                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                            </svg>
+                                        </button>
+                                    </div>
                                 </div>
                             )}
                         </div>
-                        <div className="h-80">
+                        <div className="h-80" ref={recommendationChartRef}>
                             <ResponsiveContainer width="100%" height="100%">
                                 <BarChart
                                     data={recommendedSchemaData}
@@ -279,20 +511,20 @@ const Dashboard = () => {
                                         stackId="a"
                                         fill="#EF4444"
                                         radius={[0, 0, 4, 4]}
-                                        onClick={(data) => setRecommendationFilter({ schema: data.name, priority: 'High' })}
+                                        onClick={(data) => updateRecommendationFilter({ schema: data.name, priority: 'High' })}
                                     />
                                     <Bar
                                         dataKey="Medium"
                                         stackId="a"
                                         fill="#F59E0B"
-                                        onClick={(data) => setRecommendationFilter({ schema: data.name, priority: 'Medium' })}
+                                        onClick={(data) => updateRecommendationFilter({ schema: data.name, priority: 'Medium' })}
                                     />
                                     <Bar
                                         dataKey="Low"
                                         stackId="a"
                                         fill="#3B82F6"
                                         radius={[4, 4, 0, 0]}
-                                        onClick={(data) => setRecommendationFilter({ schema: data.name, priority: 'Low' })}
+                                        onClick={(data) => updateRecommendationFilter({ schema: data.name, priority: 'Low' })}
                                     />
                                 </BarChart>
                             </ResponsiveContainer>
@@ -300,6 +532,46 @@ const Dashboard = () => {
                     </div>
                 </div>
 
+                <RuleEditor
+                    ruleSet={rules.ruleSet}
+                    fireCounts={fireCounts}
+                    isDefault={rules.isDefault}
+                    error={rules.error}
+                    onSave={rules.saveRuleSet}
+                    onReset={rules.resetRuleSet}
+                    onExport={handleRulesExport}
+                />
+
+                <PageTypeClassifier
+                    classifier={pageTypes.classifier}
+                    proposals={proposals}
+                    accepted={acceptedChanges}
+                    isDefault={pageTypes.isDefault}
+                    error={pageTypes.error}
+                    domain={siteDomain}
+                    onSave={pageTypes.saveClassifier}
+                    onReset={pageTypes.resetClassifier}
+                    onExportRules={handleClassifierExport}
+                    onAccept={pageTypes.acceptPageTypes}
+                    onRevert={pageTypes.revertPageTypes}
+                    onImport={pageTypes.importPageTypes}
+                    onExport={handlePageTypesExport}
+                />
+
+                <CrawlHealth health={health} domain={siteDomain} />
+
+                {remediation.records && (
+                    <RemediationTracker
+                        records={remediation.records}
+                        error={remediation.error}
+                        section={section}
+                        domain={siteDomain}
+                        onUpdate={remediation.updateRecord}
+                        onImport={remediation.importRecords}
+                        onExport={handleRemediationExport}
+                    />
+                )}
+
                 {/* Data Table Section */}
                 <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 overflow-hidden">
                     <div className="p-6 border-b border-gray-100 dark:border-gray-700 flex flex-col sm:flex-row gap-4 justify-between items-center">
@@ -313,120 +585,76 @@ const Dashboard = () => {
                                     placeholder="Search URLs..."
                                     className="w-full sm:w-64 pl-10 pr-4 py-2 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 dark:text-white"
                                     value={searchTerm}
-                                    onChange={(e) => setSearchTerm(e.target.value)}
+                                    onChange={(e) => updateSearchTerm(e.target.value)}
                                 />
                             </div>
 
-                            <div className="relative">
-                                <Filter className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
-                                <select
-                                    className="pl-10 pr-8 py-2 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 appearance-none dark:text-white cursor-pointer"
-                                    value={filterType}
-                                    onChange={(e) => setFilterType(e.target.value)}
+                            <button
+                                onClick={() => setShowFacets(prev => !prev)}
+                                className={`inline-flex items-center gap-1.5 px-3 py-2 text-xs font-medium border rounded-lg ${showFacets
+                                    ? 'text-blue-700 bg-blue-50 border-blue-200 dark:bg-blue-900/20 dark:text-blue-300 dark:border-blue-800'
+                                    : 'text-gray-700 bg-white border-gray-300 hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700'
+                                    }`}
+                            >
+                                <Filter className="w-3.5 h-3.5" />
+                                Filters
+                                {activeFacetCount(facets) > 0 && (
+                                    <span className="px-1.5 rounded-full bg-blue-600 text-white">{activeFacetCount(facets)}</span>
+                                )}
+                            </button>
+                            {activeFacetCount(facets) > 0 && (
+                                <button
+                                    onClick={() => updateFacets(DEFAULT_FACETS)}
+                                    className="px-3 py-2 text-xs font-medium text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
                                 >
-                                    {uniqueSchemaTypes.map(type => (
-                                        <option key={type} value={type}>{type}</option>
-                                    ))}
-                                </select>
-                            </div>
-                        </div>
-                    </div>
+                                    Clear
+                                </button>
+                            )}
 
-                    <div className="overflow-x-auto">
-                        <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
-                            <thead className="bg-gray-50 dark:bg-gray-700/50 text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
-                                <tr>
-                                    <th className="px-6 py-4">URL</th>
-                                    <th className="px-6 py-4">Page Type</th>
-                                    <th className="px-6 py-4">Schema Types</th>
-                                    <th className="px-6 py-4">Recommended Schemas</th>
-                                    <th className="px-6 py-4">Score</th>
-                                    <th className="px-6 py-4">Status</th>
-                                </tr>
-                            </thead>
-                            <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
-                                {paginatedData.map((row, idx) => (
-                                    <tr key={idx} className="hover:bg-gray-50 dark:hover:bg-gray-700/50 transition-colors">
-                                        <td className="px-6 py-4 font-medium text-gray-900 dark:text-white truncate max-w-xs" title={row.url}>
-                                            {row.url.replace('https://www.efax.com', '')}
-                                        </td>
-                                        <td className="px-6 py-4">{row.page_type}</td>
-                                        <td className="px-6 py-4">
-                                            <div className="flex flex-wrap gap-1">
-                                                {(row.schema_types_found || '').split(',').map((type, i) => {
-                                                    const t = type.trim();
-                                                    if (!t || t === 'Unspecified' || t === 'Unknown') return null;
-                                                    return (
-                                                        <span key={i} className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-50 text-blue-700 dark:bg-blue-900/20 dark:text-blue-300 border border-blue-100 dark:border-blue-800">
-                                                            {t}
-                                                        </span>
-                                                    );
-                                                })}
-                                            </div>
-                                        </td>
-                                        <td className="px-6 py-4">
-                                            {row.recommended_schemas ? (
-                                                <div className="flex flex-wrap gap-1">
-                                                    {row.recommended_schemas.split(',').map((type, i) => (
-                                                        <span key={i} className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-purple-50 text-purple-700 dark:bg-purple-900/20 dark:text-purple-300 border border-purple-100 dark:border-purple-800">
-                                                            {type.trim()}
-                                                        </span>
-                                                    ))}
-                                                </div>
-                                            ) : (
-                                                <span className="text-gray-400 text-xs">-</span>
-                                            )}
-                                        </td>
-                                        <td className="px-6 py-4">
-                                            <div className="flex items-center gap-2">
-                                                <div className="w-16 h-2 bg-gray-200 dark:bg-gray-700 rounded-full overflow-hidden">
-                                                    <div
-                                                        className={`h-full rounded-full ${row.schema_completeness_score >= 80 ? 'bg-green-500' :
-                                                            row.schema_completeness_score >= 50 ? 'bg-yellow-500' : 'bg-red-500'
-                                                            }`}
-                                                        style={{ width: `${row.schema_completeness_score}%` }}
-                                                    />
-                                                </div>
-                                                <span className="text-xs">{row.schema_completeness_score}%</span>
-                                            </div>
-                                        </td>
-                                        <td className="px-6 py-4">
-                                            <span className={`inline-flex items-center gap-1.5 px-2.5 py-0.5 rounded-full text-xs font-medium ${row.validation_errors === 0 || row.validation_errors === '' ? 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300' : 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300'
-                                                }`}>
-                                                {row.validation_errors === 0 || row.validation_errors === '' ? 'Valid' : 'Errors'}
-                                            </span>
-                                        </td>
-                                    </tr>
-                                ))}
-                            </tbody>
-                        </table>
-                    </div>
-                    <div className="p-4 border-t border-gray-100 dark:border-gray-700 flex items-center justify-between">
-                        <div className="text-xs text-gray-500 dark:text-gray-400">
-                            Showing {((currentPage - 1) * ITEMS_PER_PAGE) + 1} to {Math.min(currentPage * ITEMS_PER_PAGE, filteredData.length)} of {filteredData.length} results
-                        </div>
-                        <div className="flex gap-2">
                             <button
-                                onClick={() => setCurrentPage(prev => Math.max(prev - 1, 1))}
-                                disabled={currentPage === 1}
-                                className="px-3 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                                onClick={() => handleExport('csv')}
+                                className="inline-flex items-center gap-1.5 px-3 py-2 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
                             >
-                                Previous
+                                <Download className="w-3.5 h-3.5" />
+                                CSV
                             </button>
-                            <span className="px-3 py-1 text-xs font-medium text-gray-700 dark:text-gray-300 flex items-center">
-                                Page {currentPage} of {totalPages}
-                            </span>
                             <button
-                                onClick={() => setCurrentPage(prev => Math.min(prev + 1, totalPages))}
-                                disabled={currentPage === totalPages}
-                                className="px-3 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                                onClick={() => handleExport('json')}
+                                className="inline-flex items-center gap-1.5 px-3 py-2 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
                             >
-                                Next
+                                <Download className="w-3.5 h-3.5" />
+                                JSON
                             </button>
                         </div>
                     </div>
+
+                    {showFacets && (
+                        <FacetPanel facets={facets} counts={counts} onChange={updateFacets} />
+                    )}
+
+                    <div className={pending ? 'opacity-60 transition-opacity' : 'transition-opacity'}>
+                        <AnalysisTable
+                            rows={filteredData}
+                            domain={siteDomain}
+                            sort={sort}
+                            onSort={toggleSort}
+                            selectedUrl={selectedUrl}
+                            onSelect={(url) => updateView({ selectedUrl: url })}
+                        />
+                    </div>
                 </div>
             </div>
+
+            {selectedIndex !== -1 && (
+                <PageDetailDrawer
+                    row={filteredData[selectedIndex]}
+                    position={selectedIndex + 1}
+                    total={filteredData.length}
+                    onPrev={selectedIndex > 0 ? () => selectByIndex(selectedIndex - 1) : null}
+                    onNext={selectedIndex < filteredData.length - 1 ? () => selectByIndex(selectedIndex + 1) : null}
+                    onClose={() => updateView({ selectedUrl: null })}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,193 @@
+import React, { useState, useRef } from 'react';
+import { Upload, AlertCircle, RotateCcw, X, GitCompare, Globe } from 'lucide-react';
+import { parseDatasetText, toIsoDate, DatasetError } from '../lib/dataset';
+
+const MAX_LISTED_ISSUES = 10;
+
+const IssueList = ({ issues }) => (
+    <ul className="mt-2 space-y-0.5 text-xs font-mono">
+        {issues.slice(0, MAX_LISTED_ISSUES).map((issue, i) => (
+            <li key={i}>Row {issue.line}: {issue.message}</li>
+        ))}
+        {issues.length > MAX_LISTED_ISSUES && (
+            <li>...and {issues.length - MAX_LISTED_ISSUES} more</li>
+        )}
+    </ul>
+);
+
+const SkippedWarning = ({ name, skipped, onDismiss }) => (
+    <div className="flex items-start gap-3 p-4 rounded-xl bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-100 dark:border-yellow-800 text-yellow-800 dark:text-yellow-300">
+        <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+        <div className="flex-1 text-sm">
+            <p className="font-medium">
+                Skipped {skipped.length} malformed row{skipped.length > 1 ? 's' : ''} in {name}
+            </p>
+            <IssueList issues={skipped} />
+        </div>
+        <button onClick={onDismiss} className="p-1 hover:bg-yellow-100 dark:hover:bg-yellow-800 rounded-full">
+            <span className="sr-only">Dismiss</span>
+            <X className="w-4 h-4" />
+        </button>
+    </div>
+);
+
+const DatasetLoader = ({ dataset, isBundled, onLoad, onReset, onCompare, onBenchmark }) => {
+    const [isDragging, setIsDragging] = useState(false);
+    const [error, setError] = useState(null);
+    const [showSkipped, setShowSkipped] = useState(true);
+    // Skipped rows of the last file compared against or benchmarked, which
+    // don't show up in `dataset`
+    const [otherSkipped, setOtherSkipped] = useState(null);
+    const inputRef = useRef(null);
+    const compareInputRef = useRef(null);
+    const benchmarkInputRef = useRef(null);
+
+    // `handler` receives the parsed dataset, onLoad replaces the current one,
+    // onCompare opens it as the second crawl of a comparison and onBenchmark
+    // adds its domains to the domain benchmark
+    const loadFile = async (file, handler) => {
+        if (!file) return;
+        setError(null);
+        try {
+            const text = await file.text();
+            const result = parseDatasetText(text, file.name);
+            if (handler === onLoad) {
+                setShowSkipped(true);
+            } else {
+                setOtherSkipped(result.skipped.length > 0 ? { name: file.name, skipped: result.skipped } : null);
+            }
+            // The file's modification time is the best guess for an undated export
+            const dated = result.crawlDate
+                ? result
+                : { ...result, crawlDate: toIsoDate(file.lastModified), crawlDateSource: 'file modified' };
+            handler({ name: file.name, ...dated });
+        } catch (err) {
+            setError({
+                fileName: file.name,
+                message: err.message,
+                details: err instanceof DatasetError ? err.details : []
+            });
+        }
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        loadFile(e.dataTransfer.files[0], onLoad);
+    };
+
+    const handleFileChange = (handler) => (e) => {
+        loadFile(e.target.files[0], handler);
+        // Allow re-selecting the same file after fixing it
+        e.target.value = '';
+    };
+
+    return (
+        <div className="space-y-3">
+            <div
+                onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                className={`flex flex-col sm:flex-row sm:items-center justify-between gap-4 p-4 rounded-xl border-2 border-dashed transition-colors ${isDragging
+                    ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                    : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800'
+                    }`}
+            >
+                <div className="flex items-center gap-3">
+                    <div className="p-2 rounded-lg bg-blue-500">
+                        <Upload className="w-5 h-5 text-white" />
+                    </div>
+                    <div>
+                        <p className="text-sm font-medium text-gray-900 dark:text-white">
+                            Dataset: {dataset.name}
+                            <span className="ml-2 text-gray-500 dark:text-gray-400 font-normal">
+                                {dataset.rows.length} pages
+                                {dataset.excluded > 0 && `, ${dataset.excluded} non-200 excluded`}
+                            </span>
+                        </p>
+                        <p className="text-xs text-gray-500 dark:text-gray-400">
+                            Drop an efax_analysis.csv or JSON export here to analyze a new crawl
+                        </p>
+                    </div>
+                </div>
+                <div className="flex gap-2">
+                    {!isBundled && (
+                        <button
+                            onClick={onReset}
+                            className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                        >
+                            <RotateCcw className="w-3.5 h-3.5" />
+                            Bundled data
+                        </button>
+                    )}
+                    <button
+                        onClick={() => compareInputRef.current.click()}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <GitCompare className="w-3.5 h-3.5" />
+                        Compare with...
+                    </button>
+                    <button
+                        onClick={() => benchmarkInputRef.current.click()}
+                        className="inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                    >
+                        <Globe className="w-3.5 h-3.5" />
+                        Add domain...
+                    </button>
+                    <button
+                        onClick={() => inputRef.current.click()}
+                        className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+                    >
+                        Choose file
+                    </button>
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        className="hidden"
+                        onChange={handleFileChange(onLoad)}
+                    />
+                    <input
+                        ref={compareInputRef}
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        className="hidden"
+                        onChange={handleFileChange(onCompare)}
+                    />
+                    <input
+                        ref={benchmarkInputRef}
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        className="hidden"
+                        onChange={handleFileChange(onBenchmark)}
+                    />
+                </div>
+            </div>
+
+            {error && (
+                <div className="flex items-start gap-3 p-4 rounded-xl bg-red-50 dark:bg-red-900/20 border border-red-100 dark:border-red-800 text-red-800 dark:text-red-300">
+                    <AlertCircle className="w-5 h-5 shrink-0 mt-0.5" />
+                    <div className="flex-1 text-sm">
+                        <p className="font-medium">Could not load {error.fileName}</p>
+                        <p>{error.message}</p>
+                        {error.details.length > 0 && <IssueList issues={error.details} />}
+                    </div>
+                    <button onClick={() => setError(null)} className="p-1 hover:bg-red-100 dark:hover:bg-red-800 rounded-full">
+                        <span className="sr-only">Dismiss</span>
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            )}
+
+            {!error && showSkipped && dataset.skipped.length > 0 && (
+                <SkippedWarning name={dataset.name} skipped={dataset.skipped} onDismiss={() => setShowSkipped(false)} />
+            )}
+
+            {!error && otherSkipped && (
+                <SkippedWarning name={otherSkipped.name} skipped={otherSkipped.skipped} onDismiss={() => setOtherSkipped(null)} />
+            )}
+        </div>
+    );
+};
+
+export default DatasetLoader;
@@ -0,0 +1,194 @@
+import React, { useState, useMemo } from 'react';
+import { BarChart, Bar, LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { X } from 'lucide-react';
+import { comparisonRows, SCORE_BANDS } from '../lib/benchmark';
+import { PRIORITIES } from '../lib/recommendationRules';
+
+const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#82ca9d'];
+
+const TYPE_LIMIT = 12;
+
+const MODES = [
+    { key: 'grouped', label: 'Side by side' },
+    { key: 'overlay', label: 'Overlaid' }
+];
+
+const STATS = [
+    { key: 'pages', label: 'Pages Analyzed', format: value => value },
+    { key: 'avgScore', label: 'Avg. Completeness', format: value => `${value}%` },
+    { key: 'reviewShare', label: 'Pages with Reviews', format: value => `${value}%` },
+    { key: 'faqShare', label: 'Pages with FAQ', format: value => `${value}%` },
+    { key: 'errorsPer100', label: 'Validation Errors per 100 Pages', format: value => value }
+];
+
+const tooltipProps = {
+    contentStyle: { backgroundColor: '#1F2937', border: 'none', borderRadius: '8px', color: '#F3F4F6' },
+    itemStyle: { color: '#F3F4F6' }
+};
+
+const colorOf = (index) => COLORS[index % COLORS.length];
+
+const StatComparison = ({ stat, entries }) => {
+    const max = Math.max(...entries.map(entry => entry.profile[stat.key]), 0);
+    return (
+        <div className="p-4 rounded-lg border border-gray-100 dark:border-gray-700">
+            <p className="text-sm text-gray-500 dark:text-gray-400 font-medium">{stat.label}</p>
+            <ul className="mt-2 space-y-1.5">
+                {entries.map((entry, i) => (
+                    <li key={entry.key} className="text-xs">
+                        <div className="flex justify-between gap-2">
+                            <span className="truncate text-gray-700 dark:text-gray-300" title={entry.label}>{entry.label}</span>
+                            <span className="font-semibold text-gray-900 dark:text-white">{stat.format(entry.profile[stat.key])}</span>
+                        </div>
+                        <div className="h-1.5 mt-0.5 bg-gray-100 dark:bg-gray-700 rounded-full overflow-hidden">
+                            <div
+                                className="h-full rounded-full"
+                                style={{ width: `${max > 0 ? (entry.profile[stat.key] / max) * 100 : 0}%`, backgroundColor: colorOf(i) }}
+                            />
+                        </div>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+// Grouped bars per category, or one line per domain across the categories
+const ComparisonChart = ({ title, subtitle, data, entries, mode, unit }) => (
+    <div className="p-4 rounded-lg border border-gray-100 dark:border-gray-700">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-white">{title}</h4>
+        <p className="text-xs text-gray-500 dark:text-gray-400 mb-3">{subtitle}</p>
+        <div className="h-64">
+            <ResponsiveContainer width="100%" height="100%">
+                {mode === 'grouped' ? (
+                    <BarChart data={data}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
+                        <XAxis dataKey="name" stroke="#9CA3AF" fontSize={11} tickLine={false} axisLine={false} />
+                        <YAxis stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} unit={unit} />
+                        <Tooltip {...tooltipProps} cursor={{ fill: 'rgba(255, 255, 255, 0.05)' }} />
+                        <Legend />
+                        {entries.map((entry, i) => (
+                            <Bar key={entry.key} dataKey={entry.label} fill={colorOf(i)} radius={[4, 4, 0, 0]} />
+                        ))}
+                    </BarChart>
+                ) : (
+                    <LineChart data={data}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
+                        <XAxis dataKey="name" stroke="#9CA3AF" fontSize={11} tickLine={false} axisLine={false} />
+                        <YAxis stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} unit={unit} />
+                        <Tooltip {...tooltipProps} />
+                        <Legend />
+                        {entries.map((entry, i) => (
+                            <Line key={entry.key} dataKey={entry.label} stroke={colorOf(i)} strokeWidth={2} connectNulls />
+                        ))}
+                    </LineChart>
+                )}
+            </ResponsiveContainer>
+        </div>
+    </div>
+);
+
+/**
+ * Side-by-side or overlaid comparison of every loaded domain: the headline
+ * stats and the main charts, normalized per 100 pages so sites of different
+ * sizes compare. `entries` come from benchmarkEntries (src/lib/benchmark.js);
+ * `onRemove(fingerprint)` drops a benchmark dataset, the dashboard's own
+ * dataset (`primaryFingerprint`) can't be removed here.
+ */
+const DomainBenchmark = ({ entries, primaryFingerprint, onRemove }) => {
+    const [mode, setMode] = useState('grouped');
+
+    const charts = useMemo(() => [
+        {
+            title: 'Schema type coverage',
+            subtitle: `Pages carrying each type per 100 pages, ${TYPE_LIMIT} most common types`,
+            data: comparisonRows(entries, 'typeCoverage', { limit: TYPE_LIMIT })
+        },
+        {
+            title: 'Completeness by page type',
+            subtitle: 'Avg. schema completeness of each page type',
+            data: comparisonRows(entries, 'pageTypeScore'),
+            unit: '%'
+        },
+        {
+            title: 'Page type mix',
+            subtitle: 'Share of pages per page type',
+            data: comparisonRows(entries, 'pageTypeShare'),
+            unit: '%'
+        },
+        {
+            title: 'Completeness distribution',
+            subtitle: 'Share of pages per completeness band',
+            data: comparisonRows(entries, 'bandShare', { categories: SCORE_BANDS.map(band => band.key) })
+                .map((row, i) => ({ ...row, name: SCORE_BANDS[i].label })),
+            unit: '%'
+        },
+        {
+            title: 'Recommendations by priority',
+            subtitle: 'Open recommendations per 100 pages',
+            data: comparisonRows(entries, 'recommendationsPer100', { categories: PRIORITIES })
+        }
+    ], [entries]);
+
+    // One removable chip per benchmark dataset, named after its first entry
+    const benchmarkDatasets = Array.from(new Map(entries
+        .filter(entry => entry.fingerprint !== primaryFingerprint)
+        .map(entry => [entry.fingerprint, entry])).values());
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 space-y-6">
+            <div className="flex flex-col sm:flex-row gap-4 justify-between sm:items-center">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Domain Benchmark</h3>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        Whole-site numbers for each domain, regardless of the selected section.
+                    </p>
+                    {benchmarkDatasets.length > 0 && (
+                        <div className="flex flex-wrap gap-2 mt-2">
+                            {benchmarkDatasets.map(({ fingerprint, datasetName, label }) => (
+                                <span key={fingerprint} title={fingerprint} className="inline-flex items-center gap-1 pl-2 pr-1 py-0.5 rounded text-xs font-medium bg-gray-50 text-gray-700 dark:bg-gray-700/50 dark:text-gray-300 border border-gray-200 dark:border-gray-600">
+                                    {datasetName}
+                                    {benchmarkDatasets.filter(item => item.datasetName === datasetName).length > 1 && (
+                                        <span className="font-mono text-gray-400">{fingerprint.slice(0, 8)}</span>
+                                    )}
+                                    <button onClick={() => onRemove(fingerprint)} className="p-0.5 rounded hover:bg-gray-200 dark:hover:bg-gray-600">
+                                        <span className="sr-only">Remove {label}</span>
+                                        <X className="w-3 h-3" />
+                                    </button>
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                </div>
+                <div className="flex gap-2">
+                    {MODES.map(option => (
+                        <button
+                            key={option.key}
+                            onClick={() => setMode(option.key)}
+                            className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${mode === option.key
+                                ? 'bg-blue-600 text-white'
+                                : 'bg-gray-50 text-gray-700 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600'
+                                }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-5 gap-4">
+                {STATS.map(stat => (
+                    <StatComparison key={stat.key} stat={stat} entries={entries} />
+                ))}
+            </div>
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {charts.map(chart => (
+                    <ComparisonChart key={chart.title} {...chart} entries={entries} mode={mode} />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+export default DomainBenchmark;
@@ -0,0 +1,152 @@
+import React from 'react';
+import { FLAG_FACETS, DEFAULT_FACETS } from '../lib/filters';
+
+const SCHEMA_TYPE_MODES = [
+    { value: 'any', label: 'Any' },
+    { value: 'all', label: 'All' },
+    { value: 'none', label: 'None' }
+];
+
+const inputClass = 'px-2 py-1 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 dark:text-white';
+
+const FacetGroup = ({ title, children, action }) => (
+    <div className="space-y-2">
+        <div className="flex items-center justify-between">
+            <h4 className="text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">{title}</h4>
+            {action}
+        </div>
+        {children}
+    </div>
+);
+
+// Checkbox list; selected values stay listed even when their count drops to 0
+const CheckboxList = ({ counts, selected, onToggle }) => {
+    const values = Array.from(new Set([...Object.keys(counts), ...selected])).sort();
+    return (
+        <div className="max-h-48 overflow-y-auto space-y-1 pr-1">
+            {values.map(value => (
+                <label key={value} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+                    <input
+                        type="checkbox"
+                        checked={selected.includes(value)}
+                        onChange={() => onToggle(value)}
+                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="flex-1 truncate">{value}</span>
+                    <span className="text-xs text-gray-400">{counts[value] || 0}</span>
+                </label>
+            ))}
+        </div>
+    );
+};
+
+const toggle = (list, value) => list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+
+/**
+ * Combinable filters for the analysis table with live counts.
+ */
+const FacetPanel = ({ facets, counts, onChange }) => {
+    const update = (patch) => onChange({ ...facets, ...patch });
+
+    return (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 p-6 border-b border-gray-100 dark:border-gray-700 bg-gray-50/50 dark:bg-gray-800/50">
+            <FacetGroup
+                title="Schema types"
+                action={(
+                    <div className="flex rounded-md border border-gray-200 dark:border-gray-600 overflow-hidden">
+                        {SCHEMA_TYPE_MODES.map(mode => (
+                            <button
+                                key={mode.value}
+                                onClick={() => update({ schemaTypeMode: mode.value })}
+                                className={`px-2 py-0.5 text-xs font-medium ${facets.schemaTypeMode === mode.value
+                                    ? 'bg-blue-600 text-white'
+                                    : 'bg-white text-gray-600 hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:hover:bg-gray-700'
+                                    }`}
+                            >
+                                {mode.label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            >
+                <CheckboxList
+                    counts={counts.schemaTypes}
+                    selected={facets.schemaTypes}
+                    onToggle={(value) => update({ schemaTypes: toggle(facets.schemaTypes, value) })}
+                />
+            </FacetGroup>
+
+            <FacetGroup title="Page type">
+                <CheckboxList
+                    counts={counts.pageTypes}
+                    selected={facets.pageTypes}
+                    onToggle={(value) => update({ pageTypes: toggle(facets.pageTypes, value) })}
+                />
+            </FacetGroup>
+
+            <FacetGroup title="Primary schema type">
+                <CheckboxList
+                    counts={counts.primaryTypes}
+                    selected={facets.primaryTypes}
+                    onToggle={(value) => update({ primaryTypes: toggle(facets.primaryTypes, value) })}
+                />
+            </FacetGroup>
+
+            <div className="space-y-6">
+                <FacetGroup title="Flags">
+                    {FLAG_FACETS.map(({ key, label }) => (
+                        <div key={key} className="flex items-center justify-between gap-2 text-sm text-gray-700 dark:text-gray-300">
+                            <span>{label}</span>
+                            <select
+                                value={facets[key] === null ? '' : String(facets[key])}
+                                onChange={(e) => update({ [key]: e.target.value === '' ? null : e.target.value === 'true' })}
+                                className={inputClass}
+                            >
+                                <option value="">Any</option>
+                                <option value="true">Yes ({counts.flags[key].true})</option>
+                                <option value="false">No ({counts.flags[key].false})</option>
+                            </select>
+                        </div>
+                    ))}
+                </FacetGroup>
+
+                <FacetGroup title="Validation errors">
+                    <select
+                        value={facets.errors || ''}
+                        onChange={(e) => update({ errors: e.target.value || null })}
+                        className={`${inputClass} w-full`}
+                    >
+                        <option value="">Any</option>
+                        <option value="with">Has errors ({counts.errors.with})</option>
+                        <option value="without">No errors ({counts.errors.without})</option>
+                    </select>
+                </FacetGroup>
+
+                <FacetGroup title="Completeness score">
+                    <div className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                        <input
+                            type="number"
+                            min={0}
+                            max={facets.scoreMax}
+                            value={facets.scoreMin}
+                            onChange={(e) => update({ scoreMin: Math.max(DEFAULT_FACETS.scoreMin, Number(e.target.value) || 0) })}
+                            className={`${inputClass} w-16`}
+                        />
+                        <span>to</span>
+                        <input
+                            type="number"
+                            min={facets.scoreMin}
+                            max={100}
+                            value={facets.scoreMax}
+                            onChange={(e) => update({ scoreMax: Math.min(DEFAULT_FACETS.scoreMax, Number(e.target.value) || 0) })}
+                            className={`${inputClass} w-16`}
+                        />
+                        <span className="text-xs text-gray-400">{counts.score} pages</span>
+                    </div>
+                </FacetGroup>
+            </div>
+        </div>
+    );
+};
+
+export default FacetPanel;
@@ -0,0 +1,55 @@
+import React from 'react';
+import { rowIssues } from '../lib/validator';
+
+const ISSUE_CLASS = 'inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300';
+
+/**
+ * Per-property breakdown of a row's validation errors. `compact` keeps it on
+ * one line (first issue plus a count of the rest) for fixed-height table rows.
+ */
+const IssueBreakdown = ({ row, compact = false }) => {
+    const { issues, errorCount, unlisted } = rowIssues(row);
+
+    if (errorCount === 0) {
+        return (
+            <span className="inline-flex items-center gap-1.5 px-2.5 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300">
+                Valid
+            </span>
+        );
+    }
+
+    const shown = compact ? issues.slice(0, 1) : issues;
+    const hidden = errorCount - shown.length;
+
+    return (
+        <div className={compact ? 'flex items-center gap-1 overflow-hidden' : 'flex flex-col items-start gap-1'}>
+            {shown.map((issue, i) => (
+                <span
+                    key={i}
+                    title={issue.message}
+                    className={ISSUE_CLASS}
+                >
+                    {issue.kind === 'other' ? issue.message : (
+                        <>
+                            <strong>{issue.type}</strong>
+                            <span>{issue.property}</span>
+                            <span className="opacity-75">{issue.kind}</span>
+                        </>
+                    )}
+                </span>
+            ))}
+            {compact && hidden > 0 && (
+                <span className={ISSUE_CLASS} title={issues.slice(1).map(issue => issue.message).join('\n')}>
+                    {shown.length > 0 ? `+${hidden}` : `${hidden} error${hidden > 1 ? 's' : ''}`}
+                </span>
+            )}
+            {!compact && unlisted > 0 && (
+                <span className={ISSUE_CLASS}>
+                    {unlisted} other error{unlisted > 1 ? 's' : ''}
+                </span>
+            )}
+        </div>
+    );
+};
+
+export default IssueBreakdown;
@@ -0,0 +1,79 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Copy, Check, AlertCircle } from 'lucide-react';
+import { toScriptTag } from '../lib/jsonld';
+
+const COPY_LABELS = { idle: 'Copy', copied: 'Copied', failed: 'Copy failed' };
+
+/**
+ * Generated JSON-LD with a copy-to-clipboard button. Placeholders still to be
+ * filled in are listed under the code, required ones first.
+ */
+const JsonLdSnippet = ({ generated }) => {
+    const snippet = toScriptTag(generated.jsonLd);
+    // The outcome of the last copy, shown only while it's the snippet on screen
+    const [copied, setCopied] = useState({ snippet: null, state: 'idle' });
+    const copyState = copied.snippet === snippet ? copied.state : 'idle';
+    const resetTimerRef = useRef(null);
+    const mountedRef = useRef(false);
+
+    useEffect(() => {
+        mountedRef.current = true;
+        return () => {
+            mountedRef.current = false;
+            clearTimeout(resetTimerRef.current);
+        };
+    }, []);
+
+    // The clipboard API is missing outside secure contexts and can be denied
+    const handleCopy = async () => {
+        clearTimeout(resetTimerRef.current);
+        let state = 'copied';
+        try {
+            await navigator.clipboard.writeText(snippet);
+        } catch {
+            state = 'failed';
+        }
+        if (!mountedRef.current) return;
+        setCopied({ snippet, state });
+        resetTimerRef.current = setTimeout(() => setCopied({ snippet: null, state: 'idle' }), 2000);
+    };
+
+    return (
+        <div className="rounded-lg border border-gray-100 dark:border-gray-700 overflow-hidden">
+            <div className="flex items-center justify-between px-3 py-2 bg-gray-50 dark:bg-gray-700/50">
+                <span className="text-xs font-medium text-gray-500 dark:text-gray-400">{generated.schema} JSON-LD</span>
+                <button
+                    onClick={handleCopy}
+                    className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700"
+                >
+                    {copyState === 'copied' && <Check className="w-3.5 h-3.5 text-green-500" />}
+                    {copyState === 'failed' && <AlertCircle className="w-3.5 h-3.5 text-red-500" />}
+                    {copyState === 'idle' && <Copy className="w-3.5 h-3.5" />}
+                    {COPY_LABELS[copyState]}
+                </button>
+            </div>
+            <pre className="p-3 text-xs font-mono text-gray-800 dark:text-gray-200 overflow-x-auto">{snippet}</pre>
+            {generated.placeholders.length > 0 && (
+                <p className="px-3 py-2 text-xs text-yellow-800 dark:text-yellow-300 bg-yellow-50 dark:bg-yellow-900/20 border-t border-yellow-100 dark:border-yellow-800">
+                    Fill in before publishing: {generated.placeholders.join(', ')}
+                </p>
+            )}
+            {generated.suggestions.length > 0 && (
+                <p className="px-3 py-2 text-xs text-blue-800 dark:text-blue-300 bg-blue-50 dark:bg-blue-900/20 border-t border-blue-100 dark:border-blue-800">
+                    Recommended, fill in or remove: {generated.suggestions.join(', ')}
+                </p>
+            )}
+            {generated.reference && (
+                <p className="px-3 py-2 text-xs text-gray-600 dark:text-gray-400 border-t border-gray-100 dark:border-gray-700">
+                    No property checklist for {generated.schema}, see{' '}
+                    <a href={generated.reference} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline dark:text-blue-400">
+                        {generated.reference}
+                    </a>{' '}
+                    for the properties it takes.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default JsonLdSnippet;
@@ -0,0 +1,206 @@
+import React, { useEffect } from 'react';
+import { X, ChevronLeft, ChevronRight, CheckCircle, XCircle, AlertCircle, ExternalLink } from 'lucide-react';
+import { ANALYSIS_COLUMNS, splitList, parseRecommendations } from '../lib/dataset';
+import { rowChecklist, rowIssues } from '../lib/validator';
+import { generateForRow } from '../lib/jsonld';
+import JsonLdSnippet from './JsonLdSnippet';
+
+const PRIORITY_COLORS = {
+    High: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+    Medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+    Low: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300'
+};
+
+const STATUS_ICONS = {
+    ok: <CheckCircle className="w-4 h-4 text-green-500" />,
+    missing: <XCircle className="w-4 h-4 text-red-500" />,
+    invalid: <AlertCircle className="w-4 h-4 text-yellow-500" />
+};
+
+const Section = ({ title, children }) => (
+    <section className="space-y-3">
+        <h4 className="text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">{title}</h4>
+        {children}
+    </section>
+);
+
+const Flag = ({ label, value }) => (
+    <div className="flex items-center justify-between px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+        <span className="text-sm text-gray-600 dark:text-gray-300">{label}</span>
+        <span className={`text-xs font-medium ${value ? 'text-green-600 dark:text-green-400' : 'text-gray-400'}`}>
+            {value ? 'Yes' : 'No'}
+        </span>
+    </div>
+);
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (typeof value === 'boolean') return value ? 'True' : 'False';
+    return String(value);
+};
+
+/**
+ * Side panel with the full record of one page, its required-property
+ * checklist and its recommendations with the rules that made them.
+ */
+const PageDetailDrawer = ({ row, position, total, onPrev, onNext, onClose }) => {
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT' || e.target.tagName === 'TEXTAREA') return;
+            if (e.key === 'Escape') onClose();
+            if (e.key === 'ArrowLeft' && onPrev) onPrev();
+            if (e.key === 'ArrowRight' && onNext) onNext();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onPrev, onNext, onClose]);
+
+    const checklist = rowChecklist(row);
+    const { unlisted, errorCount } = rowIssues(row);
+    const prioritized = parseRecommendations(row.recommendation_priority);
+    // Recommendation rule behind each recommended schema, see src/lib/recommendationRules.js
+    const firedRules = Object.fromEntries((row.firedRules || []).map(rec => [rec.schema, rec.ruleId]));
+    // Recommended schemas the priority column does not cover
+    const unprioritized = splitList(row.recommended_schemas)
+        .filter(schema => !prioritized.some(rec => rec.schema === schema));
+
+    const generated = generateForRow(row);
+
+    const navButtonClass = 'p-1.5 rounded-md text-gray-600 hover:bg-gray-100 disabled:opacity-50 disabled:cursor-not-allowed dark:text-gray-300 dark:hover:bg-gray-700';
+
+    return (
+        <div className="fixed inset-0 z-40 flex justify-end">
+            <div className="absolute inset-0 bg-gray-900/40" onClick={onClose} />
+            <aside className="relative w-full max-w-xl h-full overflow-y-auto bg-white dark:bg-gray-800 shadow-xl border-l border-gray-100 dark:border-gray-700">
+                <div className="sticky top-0 z-10 flex items-center justify-between gap-4 p-4 bg-white dark:bg-gray-800 border-b border-gray-100 dark:border-gray-700">
+                    <div className="flex items-center gap-1">
+                        <button onClick={onPrev} disabled={!onPrev} className={navButtonClass}>
+                            <span className="sr-only">Previous page</span>
+                            <ChevronLeft className="w-5 h-5" />
+                        </button>
+                        <span className="text-xs text-gray-500 dark:text-gray-400">{position} of {total}</span>
+                        <button onClick={onNext} disabled={!onNext} className={navButtonClass}>
+                            <span className="sr-only">Next page</span>
+                            <ChevronRight className="w-5 h-5" />
+                        </button>
+                    </div>
+                    <button onClick={onClose} className="p-1.5 rounded-md text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700">
+                        <span className="sr-only">Close</span>
+                        <X className="w-5 h-5" />
+                    </button>
+                </div>
+
+                <div className="p-6 space-y-8">
+                    <div>
+                        <a
+                            href={row.url}
+                            target="_blank"
+                            rel="noreferrer"
+                            className="inline-flex items-start gap-1.5 text-lg font-semibold text-gray-900 dark:text-white hover:text-blue-600 break-all"
+                        >
+                            {row.url}
+                            <ExternalLink className="w-4 h-4 mt-1.5 shrink-0" />
+                        </a>
+                        <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
+                            {row.page_type}{row.original_page_type && ` (crawler: ${row.original_page_type})`} · primary type {row.primary_schema_type} · {row.schema_count} schema types · {row.schema_completeness_score}% complete
+                        </p>
+                    </div>
+
+                    <Section title="Flags">
+                        <div className="grid grid-cols-2 gap-2">
+                            <Flag label="JS rendered" value={row.js_rendered} />
+                            <Flag label="FAQ" value={row.has_faq} />
+                            <Flag label="Reviews" value={row.has_reviews} />
+                            <Flag label="Product data" value={row.has_product_data} />
+                        </div>
+                    </Section>
+
+                    <Section title={`Required properties (${errorCount} error${errorCount === 1 ? '' : 's'})`}>
+                        {checklist.length === 0 && (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No validated schema types on this page.</p>
+                        )}
+                        {checklist.map(group => (
+                            <div key={group.type} className="rounded-lg border border-gray-100 dark:border-gray-700">
+                                <div className="px-3 py-2 text-sm font-medium text-gray-900 dark:text-white border-b border-gray-100 dark:border-gray-700">
+                                    {group.type}
+                                    {group.ruleType && group.ruleType !== group.type && (
+                                        <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">validated as {group.ruleType}</span>
+                                    )}
+                                </div>
+                                <ul className="divide-y divide-gray-100 dark:divide-gray-700">
+                                    {group.items.map(item => (
+                                        <li key={item.property} className="flex items-center gap-2 px-3 py-1.5 text-sm text-gray-600 dark:text-gray-300">
+                                            {STATUS_ICONS[item.status]}
+                                            <span className="font-mono text-xs">{item.property}</span>
+                                            {item.status !== 'ok' && (
+                                                <span className="ml-auto text-xs text-gray-500 dark:text-gray-400">
+                                                    {item.status}{item.expected && `, expected ${item.expected}`}
+                                                </span>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            </div>
+                        ))}
+                        {unlisted > 0 && (
+                            <p className="text-sm text-red-600 dark:text-red-400">
+                                {unlisted} validation error{unlisted > 1 ? 's' : ''} without a property message.
+                            </p>
+                        )}
+                    </Section>
+
+                    <Section title="Recommendations">
+                        {prioritized.length === 0 && unprioritized.length === 0 ? (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">No recommendations for this page.</p>
+                        ) : (
+                            <ul className="space-y-2">
+                                {prioritized.map(rec => (
+                                    <li key={rec.schema} className="flex items-center justify-between px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+                                        <div>
+                                            <span className="text-sm font-medium text-gray-900 dark:text-white">{rec.schema}</span>
+                                            {firedRules[rec.schema] && (
+                                                <p className="text-xs text-gray-500 dark:text-gray-400">
+                                                    rule <span className="font-mono">{firedRules[rec.schema]}</span>
+                                                </p>
+                                            )}
+                                        </div>
+                                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${PRIORITY_COLORS[rec.priority] || PRIORITY_COLORS.Low}`}>
+                                            {rec.priority}
+                                        </span>
+                                    </li>
+                                ))}
+                                {unprioritized.map(schema => (
+                                    <li key={schema} className="flex items-center justify-between px-3 py-2 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+                                        <span className="text-sm font-medium text-gray-900 dark:text-white">{schema}</span>
+                                        <span className="text-xs text-gray-400">No priority</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </Section>
+
+                    {generated.length > 0 && (
+                        <Section title="Generated JSON-LD">
+                            {generated.map(item => (
+                                <JsonLdSnippet key={item.schema} generated={item} />
+                            ))}
+                        </Section>
+                    )}
+
+                    <Section title="Full record">
+                        <dl className="divide-y divide-gray-100 dark:divide-gray-700 text-sm">
+                            {ANALYSIS_COLUMNS.map(col => (
+                                <div key={col} className="grid grid-cols-5 gap-3 py-1.5">
+                                    <dt className="col-span-2 font-mono text-xs text-gray-500 dark:text-gray-400">{col}</dt>
+                                    <dd className="col-span-3 text-gray-900 dark:text-white break-words">{formatValue(row[col])}</dd>
+                                </div>
+                            ))}
+                        </dl>
+                    </Section>
+                </div>
+            </aside>
+        </div>
+    );
+};
+
+export default PageDetailDrawer;
@@ -0,0 +1,370 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { AlertCircle, Check, Code, Download, RotateCcw, Upload, Undo2, X } from 'lucide-react';
+import { parseClassifier, proposalCounts, ClassifierError } from '../lib/pageTypeRules';
+import { describeConditions } from '../lib/recommendationRules';
+import { displayUrl } from '../lib/domains';
+
+const PREVIEW = 100;
+
+const ALL_TYPES = '';
+
+const inputClass = 'px-2 py-1 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 dark:text-white';
+
+const buttonClass = 'inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700';
+
+const primaryButtonClass = 'inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed';
+
+const checkboxClass = 'rounded border-gray-300 text-blue-600 focus:ring-blue-500';
+
+const toJson = (classifier) => JSON.stringify(classifier, null, 2);
+
+const TypeChange = ({ from, to }) => (
+    <span className="whitespace-nowrap">
+        <span className="text-gray-500 dark:text-gray-400">{from}</span>
+        <span className="mx-1.5 text-gray-400">→</span>
+        <span className="font-medium text-gray-900 dark:text-white">{to}</span>
+    </span>
+);
+
+/**
+ * Page type rules with the reclassifications they propose next to the
+ * crawler's types. Proposals are accepted one by one or in bulk and apply to
+ * every chart, filter and recommendation; accepted types can be reverted,
+ * imported and exported. See src/lib/pageTypeRules.js for the rule format.
+ */
+const PageTypeClassifier = ({
+    classifier,
+    proposals,
+    accepted,
+    isDefault,
+    error,
+    domain,
+    onSave,
+    onReset,
+    onExportRules,
+    onAccept,
+    onRevert,
+    onImport,
+    onExport
+}) => {
+    const [draft, setDraft] = useState(null);
+    const [problem, setProblem] = useState(null);
+    const [message, setMessage] = useState(null);
+    const [typeFilter, setTypeFilter] = useState(ALL_TYPES);
+    const [selected, setSelected] = useState(() => new Set());
+    const [showAccepted, setShowAccepted] = useState(false);
+    const inputRef = useRef(null);
+
+    const counts = useMemo(() => proposalCounts(proposals), [proposals]);
+    const proposedTypes = useMemo(() => {
+        return Array.from(new Set(proposals.map(proposal => proposal.proposed))).sort();
+    }, [proposals]);
+
+    const visible = typeFilter === ALL_TYPES ? proposals : proposals.filter(proposal => proposal.proposed === typeFilter);
+    // Selections of pages that are no longer proposed (accepted, or changed rules) drop out
+    const chosen = visible.filter(proposal => selected.has(proposal.url));
+    const allChosen = visible.length > 0 && chosen.length === visible.length;
+
+    const apply = (text) => {
+        try {
+            onSave(parseClassifier(text));
+            setDraft(null);
+            setProblem(null);
+        } catch (err) {
+            setProblem({ message: err.message, details: err instanceof ClassifierError ? err.details : [] });
+        }
+    };
+
+    const toggleRule = (id) => {
+        onSave({
+            ...classifier,
+            rules: classifier.rules.map(rule => rule.id === id ? { ...rule, enabled: rule.enabled === false } : rule)
+        });
+    };
+
+    const toggleSelected = (url) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(url)) next.delete(url);
+            else next.add(url);
+            return next;
+        });
+    };
+
+    const toggleAll = () => {
+        setSelected(allChosen ? new Set() : new Set(visible.map(proposal => proposal.url)));
+    };
+
+    const accept = (items) => {
+        onAccept(items.map(({ url, proposed }) => ({ url, pageType: proposed })));
+        setSelected(new Set());
+        setMessage({ tone: 'info', text: `Accepted ${items.length} page type${items.length === 1 ? '' : 's'}` });
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const count = onImport(await file.text());
+            setMessage({ tone: 'info', text: `Imported ${count} page type${count === 1 ? '' : 's'} from ${file.name}` });
+        } catch (err) {
+            setMessage({ tone: 'error', text: `Could not import ${file.name}: ${err.message}` });
+        }
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 space-y-4">
+            <div className="flex flex-col sm:flex-row gap-4 justify-between sm:items-center">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Page Type Classifier</h3>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {proposals.length} proposed and {accepted.length} accepted reclassifications{isDefault ? ' (default rules)' : ''}. The first matching rule decides a page's type.
+                    </p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                    {!isDefault && (
+                        <button onClick={onReset} className={buttonClass}>
+                            <RotateCcw className="w-3.5 h-3.5" />
+                            Defaults
+                        </button>
+                    )}
+                    <button
+                        onClick={() => setDraft(draft === null ? toJson(classifier) : null)}
+                        className={buttonClass}
+                    >
+                        <Code className="w-3.5 h-3.5" />
+                        {draft === null ? 'Edit rules' : 'Close editor'}
+                    </button>
+                    <button onClick={onExportRules} className={buttonClass}>
+                        <Download className="w-3.5 h-3.5" />
+                        Export rules
+                    </button>
+                    <button onClick={() => inputRef.current.click()} className={buttonClass}>
+                        <Upload className="w-3.5 h-3.5" />
+                        Import types
+                    </button>
+                    <button onClick={onExport} className={buttonClass}>
+                        <Download className="w-3.5 h-3.5" />
+                        Export types
+                    </button>
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        className="hidden"
+                        onChange={handleImport}
+                    />
+                </div>
+            </div>
+
+            {(error || problem) && (
+                <div className="flex items-start gap-3 p-3 rounded-lg text-sm bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300">
+                    <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                    <div className="flex-1">
+                        <p>{problem ? problem.message : error}</p>
+                        {problem && problem.details.length > 0 && (
+                            <ul className="mt-2 space-y-0.5 text-xs font-mono">
+                                {problem.details.map((detail, i) => (
+                                    <li key={i}>Rule {detail.line}: {detail.message}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                    {problem && (
+                        <button onClick={() => setProblem(null)} className="p-0.5 rounded-full hover:bg-red-100 dark:hover:bg-red-800">
+                            <span className="sr-only">Dismiss</span>
+                            <X className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {message && (
+                <div
+                    className={`flex items-start gap-3 p-3 rounded-lg text-sm ${message.tone === 'error'
+                        ? 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300'
+                        : 'bg-blue-50 dark:bg-blue-900/20 text-blue-800 dark:text-blue-300'
+                        }`}
+                >
+                    <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                    <p className="flex-1">{message.text}</p>
+                    <button onClick={() => setMessage(null)} className="p-0.5 rounded-full hover:bg-black/5">
+                        <span className="sr-only">Dismiss</span>
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            )}
+
+            {draft !== null && (
+                <div className="space-y-2">
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        spellCheck={false}
+                        rows={16}
+                        className="w-full p-3 font-mono text-xs bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:text-gray-200"
+                    />
+                    <div className="flex gap-2">
+                        <button onClick={() => apply(draft)} className={primaryButtonClass}>
+                            Apply rules
+                        </button>
+                        <button onClick={() => setDraft(toJson(classifier))} className={buttonClass}>
+                            Discard changes
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                    <thead className="text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                        <tr>
+                            <th className="py-2 pr-4">On</th>
+                            <th className="py-2 pr-4">Rule</th>
+                            <th className="py-2 pr-4">When</th>
+                            <th className="py-2 pr-4">Page type</th>
+                            <th className="py-2 text-right">Proposed</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                        {classifier.rules.map(rule => (
+                            <tr key={rule.id} className={rule.enabled === false ? 'opacity-50' : ''}>
+                                <td className="py-2 pr-4">
+                                    <input
+                                        type="checkbox"
+                                        checked={rule.enabled !== false}
+                                        onChange={() => toggleRule(rule.id)}
+                                        className={checkboxClass}
+                                    />
+                                </td>
+                                <td className="py-2 pr-4">
+                                    <p className="font-mono text-xs text-gray-900 dark:text-white">{rule.id}</p>
+                                    {rule.description && <p className="text-xs text-gray-500 dark:text-gray-400">{rule.description}</p>}
+                                </td>
+                                <td className="py-2 pr-4 text-xs">{describeConditions(rule).join(', ')}</td>
+                                <td className="py-2 pr-4 text-sm font-medium text-gray-900 dark:text-white whitespace-nowrap">{rule.pageType}</td>
+                                <td className="py-2 text-right">{counts[rule.id] || 0}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {classifier.rules.length === 0 && (
+                    <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">No rules, so every page keeps the crawler's type.</p>
+                )}
+            </div>
+
+            <div className="flex flex-col sm:flex-row gap-3 sm:items-center">
+                <h4 className="text-sm font-medium text-gray-900 dark:text-white">Proposed reclassifications</h4>
+                <select
+                    value={typeFilter}
+                    onChange={(e) => setTypeFilter(e.target.value)}
+                    className={inputClass}
+                >
+                    <option value={ALL_TYPES}>All proposed types</option>
+                    {proposedTypes.map(type => <option key={type} value={type}>{type}</option>)}
+                </select>
+                <div className="flex gap-2 sm:ml-auto">
+                    <button onClick={() => accept(chosen)} disabled={chosen.length === 0} className={primaryButtonClass}>
+                        <Check className="w-3.5 h-3.5" />
+                        Accept selected ({chosen.length})
+                    </button>
+                    <button onClick={() => accept(visible)} disabled={visible.length === 0} className={buttonClass}>
+                        Accept all {visible.length}
+                    </button>
+                </div>
+            </div>
+
+            {visible.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">No page would change type.</p>
+            ) : (
+                <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                    <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                        <thead className="sticky top-0 bg-gray-50 dark:bg-gray-700 text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                            <tr>
+                                <th className="px-4 py-2 w-10">
+                                    <input type="checkbox" checked={allChosen} onChange={toggleAll} className={checkboxClass} />
+                                </th>
+                                <th className="px-4 py-2">URL</th>
+                                <th className="px-4 py-2">Crawler → proposed</th>
+                                <th className="px-4 py-2">Rule</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                            {visible.slice(0, PREVIEW).map(proposal => (
+                                <tr key={proposal.url}>
+                                    <td className="px-4 py-2">
+                                        <input
+                                            type="checkbox"
+                                            checked={selected.has(proposal.url)}
+                                            onChange={() => toggleSelected(proposal.url)}
+                                            className={checkboxClass}
+                                        />
+                                    </td>
+                                    <td className="px-4 py-2 truncate max-w-xs font-medium text-gray-900 dark:text-white" title={proposal.url}>
+                                        {displayUrl(proposal.url, domain)}
+                                    </td>
+                                    <td className="px-4 py-2 text-xs">
+                                        <TypeChange from={proposal.original} to={proposal.proposed} />
+                                    </td>
+                                    <td className="px-4 py-2 font-mono text-xs">{proposal.ruleId}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {visible.length > PREVIEW && (
+                        <p className="px-4 py-3 text-xs text-gray-500 dark:text-gray-400">
+                            and {visible.length - PREVIEW} more, accept these or narrow the type to see them
+                        </p>
+                    )}
+                </div>
+            )}
+
+            {accepted.length > 0 && (
+                <div>
+                    <div className="flex items-center gap-3">
+                        <button
+                            onClick={() => setShowAccepted(!showAccepted)}
+                            className="text-sm font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                        >
+                            {showAccepted ? 'Hide' : 'Show'} {accepted.length} accepted page type{accepted.length === 1 ? '' : 's'}
+                        </button>
+                        {showAccepted && (
+                            <button onClick={() => onRevert(accepted.map(change => change.url))} className={`${buttonClass} ml-auto`}>
+                                <Undo2 className="w-3.5 h-3.5" />
+                                Revert all
+                            </button>
+                        )}
+                    </div>
+                    {showAccepted && (
+                        <ul className="mt-3 max-h-72 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-700 text-sm">
+                            {accepted.slice(0, PREVIEW).map(change => (
+                                <li key={change.url} className="flex items-center gap-4 py-2">
+                                    <span className="flex-1 truncate text-gray-900 dark:text-white" title={change.url}>
+                                        {displayUrl(change.url, domain)}
+                                    </span>
+                                    <span className="text-xs">
+                                        <TypeChange from={change.original} to={change.pageType} />
+                                    </span>
+                                    <button
+                                        onClick={() => onRevert([change.url])}
+                                        className="p-1 rounded text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700"
+                                        title="Revert to the crawler's type"
+                                    >
+                                        <span className="sr-only">Revert {change.url}</span>
+                                        <Undo2 className="w-3.5 h-3.5" />
+                                    </button>
+                                </li>
+                            ))}
+                            {accepted.length > PREVIEW && (
+                                <li className="py-2 text-xs text-gray-500 dark:text-gray-400">and {accepted.length - PREVIEW} more</li>
+                            )}
+                        </ul>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PageTypeClassifier;
@@ -0,0 +1,232 @@
+import React, { useState, useMemo, useRef } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { Upload, Download, AlertCircle, X } from 'lucide-react';
+import { ISSUE_STATUSES, isClosed, progressByPriority } from '../lib/remediation';
+import { inSection } from '../lib/sections';
+import { displayUrl } from '../lib/domains';
+
+const ISSUE_PREVIEW = 100;
+
+const inputClass = 'w-full px-2 py-1 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 dark:text-white';
+
+const buttonClass = 'inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700';
+
+const PRIORITY_COLORS = {
+    High: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+    Medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+    Low: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300'
+};
+
+const ERROR_COLOR = 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300';
+
+const STATUS_FILTERS = [
+    { key: 'active', label: 'Open & in progress', matches: record => !isClosed(record) },
+    ...ISSUE_STATUSES.map(status => ({ key: status.key, label: status.label, matches: record => record.status === status.key })),
+    { key: 'all', label: 'All', matches: () => true }
+];
+
+const matchesText = (record, text) => {
+    if (!text) return true;
+    const needle = text.toLowerCase();
+    return [record.url, record.issue, record.owner, record.notes].some(value => value.toLowerCase().includes(needle));
+};
+
+/**
+ * Status, owner and notes for every recommendation and validation error,
+ * with open versus closed progress per priority. Follows the selected site
+ * section. `records` come from useRemediation; `onImport(text)` returns how
+ * many records it took over and throws on a malformed file. URLs on `domain`
+ * are shown as paths.
+ */
+const RemediationTracker = ({ records, error, section, domain, onUpdate, onImport, onExport }) => {
+    const [statusFilter, setStatusFilter] = useState('active');
+    const [text, setText] = useState('');
+    const [message, setMessage] = useState(null);
+    const inputRef = useRef(null);
+
+    const scoped = useMemo(() => {
+        return records.filter(record => inSection(record.url, section));
+    }, [records, section]);
+
+    const progress = useMemo(() => progressByPriority(scoped), [scoped]);
+
+    const { matches } = STATUS_FILTERS.find(filter => filter.key === statusFilter);
+    const visible = scoped.filter(record => matches(record) && matchesText(record, text));
+    const closedCount = scoped.filter(isClosed).length;
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        try {
+            const count = onImport(await file.text());
+            setMessage({ tone: 'info', text: `Imported ${count} updated issue${count === 1 ? '' : 's'} from ${file.name}` });
+        } catch (err) {
+            setMessage({ tone: 'error', text: `Could not import ${file.name}: ${err.message}` });
+        }
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 dark:border-gray-700 flex flex-col sm:flex-row gap-4 justify-between sm:items-center">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Remediation Tracker</h3>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {scoped.length - closedCount} open, {closedCount} closed. Issues a new crawl no longer reports are marked fixed.
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    <button onClick={() => inputRef.current.click()} className={buttonClass}>
+                        <Upload className="w-3.5 h-3.5" />
+                        Import
+                    </button>
+                    <button onClick={onExport} className={buttonClass}>
+                        <Download className="w-3.5 h-3.5" />
+                        Export
+                    </button>
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        className="hidden"
+                        onChange={handleImport}
+                    />
+                </div>
+            </div>
+
+            {[error && { tone: 'error', text: error }, message].filter(Boolean).map(({ tone, text: note }) => (
+                <div
+                    key={note}
+                    className={`flex items-start gap-3 mx-6 mt-4 p-3 rounded-lg text-sm ${tone === 'error'
+                        ? 'bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300'
+                        : 'bg-blue-50 dark:bg-blue-900/20 text-blue-800 dark:text-blue-300'
+                        }`}
+                >
+                    <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                    <p className="flex-1">{note}</p>
+                    {note === message?.text && (
+                        <button onClick={() => setMessage(null)} className="p-0.5 rounded-full hover:bg-black/5">
+                            <span className="sr-only">Dismiss</span>
+                            <X className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+            ))}
+
+            <div className="p-6 h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={progress}>
+                        <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
+                        <XAxis dataKey="name" stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} />
+                        <YAxis stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} allowDecimals={false} />
+                        <Tooltip
+                            contentStyle={{ backgroundColor: '#1F2937', border: 'none', borderRadius: '8px', color: '#F3F4F6' }}
+                            itemStyle={{ color: '#F3F4F6' }}
+                        />
+                        <Legend />
+                        <Bar dataKey="Open" stackId="a" fill="#F59E0B" />
+                        <Bar dataKey="Closed" stackId="a" fill="#10B981" radius={[4, 4, 0, 0]} />
+                    </BarChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="px-6 pb-4 flex flex-col sm:flex-row gap-3 sm:items-center">
+                <div className="flex flex-wrap gap-2">
+                    {STATUS_FILTERS.map(filter => (
+                        <button
+                            key={filter.key}
+                            onClick={() => setStatusFilter(filter.key)}
+                            className={`px-3 py-1.5 rounded-lg text-xs font-medium transition-colors ${statusFilter === filter.key
+                                ? 'bg-blue-600 text-white'
+                                : 'bg-gray-50 text-gray-700 hover:bg-gray-100 dark:bg-gray-700 dark:text-gray-300 dark:hover:bg-gray-600'
+                                }`}
+                        >
+                            {filter.label}
+                        </button>
+                    ))}
+                </div>
+                <input
+                    type="text"
+                    placeholder="Filter by URL, issue, owner or notes..."
+                    className={`${inputClass} sm:w-72 sm:ml-auto`}
+                    value={text}
+                    onChange={(e) => setText(e.target.value)}
+                />
+            </div>
+
+            {visible.length === 0 ? (
+                <p className="px-6 pb-6 text-sm text-gray-500 dark:text-gray-400">No issues match.</p>
+            ) : (
+                <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+                    <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                        <thead className="sticky top-0 bg-gray-50 dark:bg-gray-700 text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                            <tr>
+                                <th className="px-6 py-3">URL</th>
+                                <th className="px-6 py-3">Issue</th>
+                                <th className="px-6 py-3 w-40">Status</th>
+                                <th className="px-6 py-3 w-40">Owner</th>
+                                <th className="px-6 py-3">Notes</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                            {visible.slice(0, ISSUE_PREVIEW).map(record => (
+                                <tr key={record.key}>
+                                    <td className="px-6 py-3 font-medium text-gray-900 dark:text-white truncate max-w-xs" title={record.url}>
+                                        {displayUrl(record.url, domain)}
+                                    </td>
+                                    <td className="px-6 py-3">
+                                        <div className="flex items-center gap-2">
+                                            <span className={`shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${PRIORITY_COLORS[record.priority] || ERROR_COLOR}`}>
+                                                {record.priority}
+                                            </span>
+                                            <span className="text-xs">
+                                                {record.kind === 'recommendation' ? `Add ${record.issue}` : record.issue}
+                                            </span>
+                                        </div>
+                                    </td>
+                                    <td className="px-6 py-3">
+                                        <select
+                                            value={record.status}
+                                            onChange={(e) => onUpdate(record.key, { status: e.target.value })}
+                                            className={inputClass}
+                                        >
+                                            {ISSUE_STATUSES.map(status => (
+                                                <option key={status.key} value={status.key}>{status.label}</option>
+                                            ))}
+                                        </select>
+                                        {record.autoFixed && (
+                                            <p className="mt-1 text-[10px] text-green-600 dark:text-green-400">No longer reported by the crawl</p>
+                                        )}
+                                    </td>
+                                    <td className="px-6 py-3">
+                                        <input
+                                            type="text"
+                                            value={record.owner}
+                                            onChange={(e) => onUpdate(record.key, { owner: e.target.value })}
+                                            className={inputClass}
+                                        />
+                                    </td>
+                                    <td className="px-6 py-3">
+                                        <input
+                                            type="text"
+                                            value={record.notes}
+                                            onChange={(e) => onUpdate(record.key, { notes: e.target.value })}
+                                            className={inputClass}
+                                        />
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    {visible.length > ISSUE_PREVIEW && (
+                        <p className="px-6 py-3 text-xs text-gray-500 dark:text-gray-400">
+                            and {visible.length - ISSUE_PREVIEW} more, narrow the filter to see them
+                        </p>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default RemediationTracker;
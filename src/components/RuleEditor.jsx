@@ -0,0 +1,184 @@
+import React, { useState, useRef } from 'react';
+import { AlertCircle, Download, Upload, RotateCcw, Code, X } from 'lucide-react';
+import { parseRuleSet, describeConditions, RuleSetError } from '../lib/recommendationRules';
+
+const PRIORITY_COLORS = {
+    High: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+    Medium: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+    Low: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300'
+};
+
+const buttonClass = 'inline-flex items-center gap-1.5 px-3 py-1.5 text-xs font-medium text-gray-700 bg-white border border-gray-300 rounded-md hover:bg-gray-50 dark:bg-gray-800 dark:text-gray-300 dark:border-gray-600 dark:hover:bg-gray-700';
+
+const toJson = (ruleSet) => JSON.stringify(ruleSet, null, 2);
+
+/**
+ * The recommendation rules with how many pages each fired on. Rules can be
+ * switched on and off, edited as JSON, imported and exported; every change is
+ * applied to the dataset straight away. See src/lib/recommendationRules.js
+ * for the format.
+ */
+const RuleEditor = ({ ruleSet, fireCounts, isDefault, error, onSave, onReset, onExport }) => {
+    const [draft, setDraft] = useState(null);
+    const [problem, setProblem] = useState(null);
+    const inputRef = useRef(null);
+
+    const apply = (text, source) => {
+        try {
+            onSave(parseRuleSet(text));
+            setDraft(null);
+            setProblem(null);
+        } catch (err) {
+            setProblem({
+                message: source ? `Could not import ${source}: ${err.message}` : err.message,
+                details: err instanceof RuleSetError ? err.details : []
+            });
+        }
+    };
+
+    const toggleRule = (id) => {
+        onSave({
+            ...ruleSet,
+            rules: ruleSet.rules.map(rule => rule.id === id ? { ...rule, enabled: rule.enabled === false } : rule)
+        });
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) apply(await file.text(), file.name);
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 space-y-4">
+            <div className="flex flex-col sm:flex-row gap-4 justify-between sm:items-center">
+                <div>
+                    <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Recommendation Rules</h3>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        Recommendations are recomputed from these rules{isDefault ? ' (defaults)' : ''}. When two rules recommend the same schema, the first one wins.
+                    </p>
+                </div>
+                <div className="flex gap-2">
+                    {!isDefault && (
+                        <button onClick={onReset} className={buttonClass}>
+                            <RotateCcw className="w-3.5 h-3.5" />
+                            Defaults
+                        </button>
+                    )}
+                    <button onClick={() => inputRef.current.click()} className={buttonClass}>
+                        <Upload className="w-3.5 h-3.5" />
+                        Import
+                    </button>
+                    <button onClick={onExport} className={buttonClass}>
+                        <Download className="w-3.5 h-3.5" />
+                        Export
+                    </button>
+                    <button
+                        onClick={() => setDraft(draft === null ? toJson(ruleSet) : null)}
+                        className={buttonClass}
+                    >
+                        <Code className="w-3.5 h-3.5" />
+                        {draft === null ? 'Edit JSON' : 'Close editor'}
+                    </button>
+                    <input
+                        ref={inputRef}
+                        type="file"
+                        accept=".json,application/json"
+                        className="hidden"
+                        onChange={handleImport}
+                    />
+                </div>
+            </div>
+
+            {(error || problem) && (
+                <div className="flex items-start gap-3 p-3 rounded-lg text-sm bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300">
+                    <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                    <div className="flex-1">
+                        <p>{problem ? problem.message : error}</p>
+                        {problem && problem.details.length > 0 && (
+                            <ul className="mt-2 space-y-0.5 text-xs font-mono">
+                                {problem.details.map((detail, i) => (
+                                    <li key={i}>Rule {detail.line}: {detail.message}</li>
+                                ))}
+                            </ul>
+                        )}
+                    </div>
+                    {problem && (
+                        <button onClick={() => setProblem(null)} className="p-0.5 rounded-full hover:bg-red-100 dark:hover:bg-red-800">
+                            <span className="sr-only">Dismiss</span>
+                            <X className="w-4 h-4" />
+                        </button>
+                    )}
+                </div>
+            )}
+
+            {draft !== null && (
+                <div className="space-y-2">
+                    <textarea
+                        value={draft}
+                        onChange={(e) => setDraft(e.target.value)}
+                        spellCheck={false}
+                        rows={16}
+                        className="w-full p-3 font-mono text-xs bg-gray-50 dark:bg-gray-900 border border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 dark:text-gray-200"
+                    />
+                    <div className="flex gap-2">
+                        <button
+                            onClick={() => apply(draft)}
+                            className="px-3 py-1.5 text-xs font-medium text-white bg-blue-600 rounded-md hover:bg-blue-700"
+                        >
+                            Apply rules
+                        </button>
+                        <button onClick={() => setDraft(toJson(ruleSet))} className={buttonClass}>
+                            Discard changes
+                        </button>
+                    </div>
+                </div>
+            )}
+
+            <div className="overflow-x-auto">
+                <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                    <thead className="text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                        <tr>
+                            <th className="py-2 pr-4">On</th>
+                            <th className="py-2 pr-4">Rule</th>
+                            <th className="py-2 pr-4">When</th>
+                            <th className="py-2 pr-4">Recommends</th>
+                            <th className="py-2 text-right">Pages</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                        {ruleSet.rules.map(rule => (
+                            <tr key={rule.id} className={rule.enabled === false ? 'opacity-50' : ''}>
+                                <td className="py-2 pr-4">
+                                    <input
+                                        type="checkbox"
+                                        checked={rule.enabled !== false}
+                                        onChange={() => toggleRule(rule.id)}
+                                        className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                                    />
+                                </td>
+                                <td className="py-2 pr-4">
+                                    <p className="font-mono text-xs text-gray-900 dark:text-white">{rule.id}</p>
+                                    {rule.description && <p className="text-xs text-gray-500 dark:text-gray-400">{rule.description}</p>}
+                                </td>
+                                <td className="py-2 pr-4 text-xs">{describeConditions(rule).join(', ')}</td>
+                                <td className="py-2 pr-4 whitespace-nowrap">
+                                    <span className="text-sm font-medium text-gray-900 dark:text-white">{rule.recommend}</span>
+                                    <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-medium ${PRIORITY_COLORS[rule.priority]}`}>
+                                        {rule.priority}
+                                    </span>
+                                </td>
+                                <td className="py-2 text-right">{fireCounts[rule.id] || 0}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {ruleSet.rules.length === 0 && (
+                    <p className="mt-2 text-sm text-gray-500 dark:text-gray-400">No rules, so no page gets a recommendation.</p>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default RuleEditor;
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+
+const GAP_PREVIEW = 10;
+
+// Cell shade follows the share of the row type's pages that also carry the column type
+const cellStyle = (share) => ({
+    backgroundColor: `rgba(59, 130, 246, ${0.08 + share * 0.82})`,
+    color: share > 0.5 ? '#FFFFFF' : undefined
+});
+
+/**
+ * Heatmap of schema types appearing together on a page, plus the pages missing
+ * a type that most pages of their page type carry. Clicking a cell or a gap
+ * filters the analysis table. `matrix` and `gaps` come from src/lib/cooccurrence.js.
+ */
+const SchemaCooccurrence = ({ matrix, gaps, onSelectPair, onSelectGap }) => {
+    const [showAllGaps, setShowAllGaps] = useState(false);
+    const { types, counts } = matrix;
+    const visibleGaps = showAllGaps ? gaps : gaps.slice(0, GAP_PREVIEW);
+
+    return (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Schema Type Co-occurrence</h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 mb-4">
+                    Pages carrying both types. Shading is relative to the row type; click a cell to filter the table.
+                </p>
+                {types.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No schema types found.</p>
+                ) : (
+                    <div className="overflow-auto max-h-96">
+                        <table className="text-xs text-gray-600 dark:text-gray-300 border-separate border-spacing-0.5">
+                            <thead>
+                                <tr>
+                                    <th />
+                                    {types.map(type => (
+                                        <th key={type} className="h-28 w-8 align-bottom font-medium">
+                                            <div className="w-8 [writing-mode:vertical-rl] rotate-180 whitespace-nowrap text-left">{type}</div>
+                                        </th>
+                                    ))}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {types.map((rowType, i) => (
+                                    <tr key={rowType}>
+                                        <th className="pr-2 text-right font-medium whitespace-nowrap">{rowType}</th>
+                                        {types.map((colType, j) => {
+                                            const count = counts[i][j];
+                                            const share = count / counts[i][i];
+                                            return (
+                                                <td key={colType} className="p-0">
+                                                    <button
+                                                        onClick={() => onSelectPair(rowType, colType)}
+                                                        disabled={count === 0}
+                                                        title={i === j
+                                                            ? `${count} pages carry ${rowType}`
+                                                            : `${count} of ${counts[i][i]} ${rowType} pages also carry ${colType}`}
+                                                        className="w-8 h-8 rounded text-[10px] font-medium hover:ring-2 hover:ring-blue-500 disabled:cursor-default disabled:hover:ring-0"
+                                                        style={count > 0 ? cellStyle(share) : undefined}
+                                                    >
+                                                        {count > 0 ? count : ''}
+                                                    </button>
+                                                </td>
+                                            );
+                                        })}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Schema Gaps</h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1 mb-4">
+                    Types most pages of a page type carry but some don't, most unusual first. Click a gap to list the pages.
+                </p>
+                {gaps.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">No gaps: pages of each type carry the same schemas.</p>
+                ) : (
+                    <>
+                        <ul className="divide-y divide-gray-100 dark:divide-gray-700 max-h-96 overflow-y-auto">
+                            {visibleGaps.map(gap => (
+                                <li key={`${gap.pageType}:${gap.schemaType}`}>
+                                    <button
+                                        onClick={() => onSelectGap(gap.pageType, gap.schemaType)}
+                                        className="w-full flex items-center justify-between gap-4 py-2 px-2 text-left rounded hover:bg-gray-50 dark:hover:bg-gray-700/50"
+                                    >
+                                        <div className="min-w-0">
+                                            <p className="text-sm text-gray-900 dark:text-white truncate">
+                                                <strong>{gap.missing}</strong> {gap.pageType} {gap.missing === 1 ? 'page lacks' : 'pages lack'} <strong>{gap.schemaType}</strong>
+                                            </p>
+                                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                                {gap.carrying} of {gap.groupSize} {gap.pageType} pages carry it
+                                            </p>
+                                        </div>
+                                        <span className="shrink-0 text-xs font-semibold text-red-600 dark:text-red-400">
+                                            {(gap.share * 100).toFixed(1)}%
+                                        </span>
+                                    </button>
+                                </li>
+                            ))}
+                        </ul>
+                        {gaps.length > GAP_PREVIEW && (
+                            <button
+                                onClick={() => setShowAllGaps(prev => !prev)}
+                                className="mt-3 text-xs font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                            >
+                                {showAllGaps ? 'Show fewer' : `Show all ${gaps.length} gaps`}
+                            </button>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SchemaCooccurrence;
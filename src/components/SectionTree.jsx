@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { ChevronRight, ChevronDown, X } from 'lucide-react';
+import { scoreBand } from '../lib/validator';
+import { sectionAncestors } from '../lib/sections';
+
+const SCORE_TEXT_COLORS = {
+    complete: 'text-green-600 dark:text-green-400',
+    partial: 'text-yellow-600 dark:text-yellow-400',
+    poor: 'text-red-600 dark:text-red-400'
+};
+
+const SectionNode = ({ node, depth, expanded, onToggle, selected, onSelect }) => {
+    const isOpen = expanded.has(node.path);
+    const isSelected = selected === node.path;
+
+    return (
+        <>
+            <tr className={isSelected ? 'bg-blue-50 dark:bg-blue-900/20' : 'hover:bg-gray-50 dark:hover:bg-gray-700/50'}>
+                <td className="px-6 py-2">
+                    <div className="flex items-center gap-1" style={{ paddingLeft: `${depth * 16}px` }}>
+                        {node.children.length > 0 ? (
+                            <button
+                                onClick={() => onToggle(node.path)}
+                                className="p-0.5 rounded text-gray-400 hover:text-gray-700 dark:hover:text-gray-200"
+                            >
+                                <span className="sr-only">{isOpen ? 'Collapse' : 'Expand'}</span>
+                                {isOpen ? <ChevronDown className="w-4 h-4" /> : <ChevronRight className="w-4 h-4" />}
+                            </button>
+                        ) : (
+                            <span className="w-5" />
+                        )}
+                        <button
+                            onClick={() => onSelect(node.path)}
+                            className={`text-left truncate ${isSelected ? 'font-semibold text-blue-700 dark:text-blue-300' : 'text-gray-900 dark:text-white hover:text-blue-600'}`}
+                            title={node.path}
+                        >
+                            {depth === 0 || node.isDomain ? node.name : `/${node.name}`}
+                        </button>
+                        {node.children.length > 0 && (
+                            <span className="text-xs text-gray-400">({node.children.length})</span>
+                        )}
+                    </div>
+                </td>
+                <td className="px-6 py-2 text-right">{node.pageCount}</td>
+                <td className={`px-6 py-2 text-right ${SCORE_TEXT_COLORS[scoreBand(node.avgScore)]}`}>{node.avgScore.toFixed(1)}%</td>
+                <td className={`px-6 py-2 text-right ${node.errorCount > 0 ? 'text-red-600 dark:text-red-400' : ''}`}>{node.errorCount}</td>
+                <td className="px-6 py-2 text-right">{node.openRecommendations}</td>
+            </tr>
+            {isOpen && node.children.map(child => (
+                <SectionNode
+                    key={child.path}
+                    node={child}
+                    depth={depth + 1}
+                    expanded={expanded}
+                    onToggle={onToggle}
+                    selected={selected}
+                    onSelect={onSelect}
+                />
+            ))}
+        </>
+    );
+};
+
+/**
+ * Collapsible site-section tree with aggregated schema health. Selecting a
+ * section scopes the rest of the dashboard to its subtree.
+ */
+const SectionTree = ({ tree, selected, onSelect }) => {
+    const [expanded, setExpanded] = useState(() => new Set(sectionAncestors(selected || '/')));
+
+    const handleToggle = (path) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(path)) {
+                next.delete(path);
+            } else {
+                next.add(path);
+            }
+            return next;
+        });
+    };
+
+    return (
+        <div className="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 overflow-hidden">
+            <div className="p-6 border-b border-gray-100 dark:border-gray-700 flex justify-between items-center">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Site Sections</h3>
+                {selected && selected !== '/' && (
+                    <div className="flex items-center gap-2 bg-blue-50 dark:bg-blue-900/20 px-3 py-1.5 rounded-lg border border-blue-100 dark:border-blue-800">
+                        <span className="text-sm text-blue-700 dark:text-blue-300">
+                            Scoped to: <strong>{selected}</strong>
+                        </span>
+                        <button
+                            onClick={() => onSelect(null)}
+                            className="p-1 hover:bg-blue-100 dark:hover:bg-blue-800 rounded-full transition-colors"
+                        >
+                            <span className="sr-only">Clear section</span>
+                            <X className="w-4 h-4 text-blue-700 dark:text-blue-300" />
+                        </button>
+                    </div>
+                )}
+            </div>
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+                <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                    <thead className="sticky top-0 bg-gray-50 dark:bg-gray-700 text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                        <tr>
+                            <th className="px-6 py-3">Section</th>
+                            <th className="px-6 py-3 text-right">Pages</th>
+                            <th className="px-6 py-3 text-right">Avg. Completeness</th>
+                            <th className="px-6 py-3 text-right">Errors</th>
+                            <th className="px-6 py-3 text-right">Open Recommendations</th>
+                        </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                        <SectionNode
+                            node={tree}
+                            depth={0}
+                            expanded={expanded}
+                            onToggle={handleToggle}
+                            selected={selected || '/'}
+                            onSelect={(path) => onSelect(path === '/' ? null : path)}
+                        />
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    );
+};
+
+export default SectionTree;
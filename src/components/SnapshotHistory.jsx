@@ -0,0 +1,203 @@
+import React, { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { AlertCircle, History, Trash2 } from 'lucide-react';
+import { trendSeries } from '../lib/snapshots';
+
+const COLORS = ['#0088FE', '#00C49F', '#FFBB28', '#FF8042', '#8884d8', '#82ca9d', '#EF4444', '#6B7280'];
+
+// Types charted until the user picks their own
+const DEFAULT_COVERAGE_TYPES = 5;
+
+const DATE_SOURCE_LABELS = {
+    crawl_date: 'crawl_date column',
+    crawl_timestamp: 'crawl_timestamp column',
+    'file name': 'file name',
+    'file modified': 'file modification time',
+    'last modified': 'server Last-Modified',
+    loaded: 'date loaded',
+    manual: 'entered by hand'
+};
+
+const tooltipProps = {
+    contentStyle: { backgroundColor: '#1F2937', border: 'none', borderRadius: '8px', color: '#F3F4F6' },
+    itemStyle: { color: '#F3F4F6' }
+};
+
+const TrendChart = ({ title, data, children, unit }) => (
+    <div className="p-4 rounded-lg border border-gray-100 dark:border-gray-700">
+        <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-3">{title}</h4>
+        <div className="h-48">
+            <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={data}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
+                    <XAxis dataKey="date" stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} />
+                    <YAxis stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} unit={unit} allowDecimals={false} />
+                    <Tooltip {...tooltipProps} />
+                    <Legend />
+                    {children}
+                </LineChart>
+            </ResponsiveContainer>
+        </div>
+    </div>
+);
+
+/**
+ * Trend lines across the stored crawl snapshots and the snapshot list, where
+ * a crawl date can be corrected and any snapshot opened in the dashboard.
+ * Trends cover the whole site regardless of the selected section.
+ */
+const SnapshotHistory = ({ snapshots, current, error, onOpen, onUpdate, onDelete }) => {
+    const [coverageTypes, setCoverageTypes] = useState(null);
+    const [openError, setOpenError] = useState(null);
+    const { points, types } = useMemo(() => trendSeries(snapshots), [snapshots]);
+    const shownTypes = coverageTypes || types.slice(0, DEFAULT_COVERAGE_TYPES);
+
+    const toggleType = (type) => {
+        setCoverageTypes(shownTypes.includes(type) ? shownTypes.filter(t => t !== type) : [...shownTypes, type]);
+    };
+
+    const handleOpen = (key) => {
+        setOpenError(null);
+        onOpen(key).catch(err => setOpenError(err.message));
+    };
+
+    const notice = error || openError;
+
+    return (
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-xl shadow-sm border border-gray-100 dark:border-gray-700 space-y-6">
+            <div>
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Trends</h3>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                    Whole-site numbers for each crawl loaded into the dashboard, stored in this browser.
+                </p>
+            </div>
+
+            {notice && (
+                <div className="flex items-start gap-3 p-3 rounded-lg text-sm bg-red-50 dark:bg-red-900/20 text-red-800 dark:text-red-300">
+                    <AlertCircle className="w-4 h-4 shrink-0 mt-0.5" />
+                    <p>{notice}</p>
+                </div>
+            )}
+
+            {points.length < 2 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                    Load a crawl from another date to see trends.
+                </p>
+            ) : (
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+                    <TrendChart title="Avg. completeness" data={points} unit="%">
+                        <Line type="monotone" dataKey="avgScore" name="Avg. completeness" stroke="#10B981" strokeWidth={2} />
+                    </TrendChart>
+                    <TrendChart title="Pages with FAQ or reviews" data={points}>
+                        <Line type="monotone" dataKey="withFaq" name="FAQ" stroke="#F59E0B" strokeWidth={2} />
+                        <Line type="monotone" dataKey="withReviews" name="Reviews" stroke="#8B5CF6" strokeWidth={2} />
+                    </TrendChart>
+                    <TrendChart title="Validation errors" data={points}>
+                        <Line type="monotone" dataKey="validationErrors" name="Validation errors" stroke="#EF4444" strokeWidth={2} />
+                    </TrendChart>
+                    <div className="p-4 rounded-lg border border-gray-100 dark:border-gray-700">
+                        <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-3">Schema type coverage</h4>
+                        <div className="h-48">
+                            <ResponsiveContainer width="100%" height="100%">
+                                <LineChart data={points}>
+                                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" opacity={0.1} />
+                                    <XAxis dataKey="date" stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} />
+                                    <YAxis stroke="#9CA3AF" fontSize={12} tickLine={false} axisLine={false} unit="%" domain={[0, 100]} />
+                                    <Tooltip {...tooltipProps} />
+                                    {shownTypes.map(type => (
+                                        <Line
+                                            key={type}
+                                            type="monotone"
+                                            dataKey={point => point.coverage[type] || 0}
+                                            name={type}
+                                            stroke={COLORS[types.indexOf(type) % COLORS.length]}
+                                            strokeWidth={2}
+                                        />
+                                    ))}
+                                </LineChart>
+                            </ResponsiveContainer>
+                        </div>
+                        <div className="flex flex-wrap gap-1 mt-3">
+                            {types.map(type => (
+                                <button
+                                    key={type}
+                                    onClick={() => toggleType(type)}
+                                    className={`px-2 py-0.5 rounded text-xs font-medium border ${shownTypes.includes(type)
+                                        ? 'text-white border-transparent'
+                                        : 'text-gray-600 border-gray-200 dark:text-gray-300 dark:border-gray-600'
+                                        }`}
+                                    style={shownTypes.includes(type) ? { backgroundColor: COLORS[types.indexOf(type) % COLORS.length] } : undefined}
+                                >
+                                    {type}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {snapshots.length > 0 && (
+                <div className="overflow-x-auto max-h-72 overflow-y-auto">
+                    <table className="w-full text-left text-sm text-gray-600 dark:text-gray-300">
+                        <thead className="text-xs uppercase font-semibold text-gray-500 dark:text-gray-400">
+                            <tr>
+                                <th className="py-2 pr-4">Crawl date</th>
+                                <th className="py-2 pr-4">Dataset</th>
+                                <th className="py-2 pr-4">Pages</th>
+                                <th className="py-2 pr-4">Avg. completeness</th>
+                                <th className="py-2" />
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                            {[...snapshots].reverse().map(snapshot => {
+                                const isCurrent = current && snapshot.key === current.key;
+                                return (
+                                    <tr key={snapshot.key} className={isCurrent ? 'bg-blue-50 dark:bg-blue-900/20' : ''}>
+                                        <td className="py-2 pr-4">
+                                            <input
+                                                type="date"
+                                                value={snapshot.crawlDate}
+                                                onChange={(e) => e.target.value && onUpdate(snapshot.key, { crawlDate: e.target.value, crawlDateSource: 'manual' })}
+                                                className="px-2 py-1 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-md text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 dark:text-white"
+                                            />
+                                            <p className="mt-0.5 text-[10px] text-gray-400">
+                                                from {DATE_SOURCE_LABELS[snapshot.crawlDateSource] || snapshot.crawlDateSource}
+                                            </p>
+                                        </td>
+                                        <td className="py-2 pr-4 font-medium text-gray-900 dark:text-white">{snapshot.name}</td>
+                                        <td className="py-2 pr-4">{snapshot.metrics.pages}</td>
+                                        <td className="py-2 pr-4">{snapshot.metrics.avgScore.toFixed(1)}%</td>
+                                        <td className="py-2 text-right whitespace-nowrap">
+                                            {isCurrent ? (
+                                                <span className="text-xs font-medium text-blue-700 dark:text-blue-300">Viewing</span>
+                                            ) : (
+                                                <>
+                                                    <button
+                                                        onClick={() => handleOpen(snapshot.key)}
+                                                        className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                                                    >
+                                                        <History className="w-3.5 h-3.5" />
+                                                        Open
+                                                    </button>
+                                                    <button
+                                                        onClick={() => onDelete(snapshot.key)}
+                                                        className="p-1 text-gray-400 hover:text-red-600"
+                                                    >
+                                                        <span className="sr-only">Delete snapshot</span>
+                                                        <Trash2 className="w-3.5 h-3.5" />
+                                                    </button>
+                                                </>
+                                            )}
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default SnapshotHistory;
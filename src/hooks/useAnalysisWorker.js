@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef } from 'react';
+import { datasetFromCrawl } from '../lib/dataset';
+
+const NO_PROPOSALS = [];
+
+/**
+ * Refine, aggregate and filter a dataset in a Web Worker (src/workers/analysis.worker.js).
+ *
+ * A worker is started per dataset, so work on a replaced dataset is dropped.
+ * The worker applies the accepted page types (URL to page type) and `ruleSet`
+ * to the crawl, and proposes page types with `classifier`; nothing is analyzed
+ * until `ruleSet` and `accepted` are loaded. `query` is { section, search,
+ * recommendation, facets, sort }; only the response to the latest query is kept.
+ *
+ * Returns { dataset, sectionTree, fireCounts, domains, result, pending,
+ * proposals, acceptedChanges } where `dataset` is the refined dataset `result`
+ * was computed from (null until the first result arrives), `fireCounts` the
+ * pages each rule fired on and `domains` its domains, most pages first. When
+ * the dataset or the rules change, the previous result stays until the new one
+ * arrives and `pending` is true while it is out of date. `proposals` and
+ * `acceptedChanges` are as proposePageTypes and acceptedChanges in
+ * src/lib/pageTypeRules.js return them, against the crawler's page types.
+ */
+export const useAnalysisWorker = (dataset, { ruleSet, accepted, classifier }, query) => {
+    const workerRef = useRef(null);
+    // Rules sent for refinement, oldest first; the worker answers in order
+    const refinementsRef = useRef([]);
+    const latestIdRef = useRef(0);
+    const latestProposalIdRef = useRef(0);
+    const [state, setState] = useState({
+        source: null,
+        ruleSet: null,
+        accepted: null,
+        dataset: null,
+        sectionTree: null,
+        fireCounts: null,
+        domains: null,
+        result: null,
+        queryKey: null
+    });
+    const [proposalState, setProposalState] = useState({ source: null, proposals: NO_PROPOSALS, accepted: NO_PROPOSALS });
+    const queryKey = JSON.stringify(query);
+
+    useEffect(() => {
+        if (!dataset) return undefined;
+        const worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), { type: 'module' });
+        const refinements = [];
+        let refined = null;
+        worker.addEventListener('message', ({ data }) => {
+            if (data.type === 'refined') {
+                refined = {
+                    ...refinements.shift(),
+                    dataset: { ...dataset, ...datasetFromCrawl(data.crawl) },
+                    sectionTree: data.sectionTree,
+                    fireCounts: data.fireCounts,
+                    domains: data.domains
+                };
+            } else if (data.type === 'result' && data.id === latestIdRef.current) {
+                setState({ source: dataset, ...refined, result: data.result, queryKey: data.queryKey });
+            } else if (data.type === 'proposals' && data.id === latestProposalIdRef.current) {
+                setProposalState({ source: dataset, proposals: data.proposals, accepted: data.accepted });
+            }
+        });
+        worker.postMessage({ type: 'load', crawl: dataset.crawl });
+        workerRef.current = worker;
+        refinementsRef.current = refinements;
+        return () => worker.terminate();
+    }, [dataset]);
+
+    useEffect(() => {
+        if (!dataset || !ruleSet || !accepted) return;
+        refinementsRef.current.push({ ruleSet, accepted });
+        workerRef.current.postMessage({ type: 'refine', ruleSet, accepted });
+    }, [dataset, ruleSet, accepted]);
+
+    useEffect(() => {
+        if (!dataset || !ruleSet || !accepted) return;
+        latestIdRef.current++;
+        workerRef.current.postMessage({ type: 'analyze', id: latestIdRef.current, queryKey, query: JSON.parse(queryKey) });
+    }, [dataset, ruleSet, accepted, queryKey]);
+
+    useEffect(() => {
+        if (!dataset || !classifier || !accepted) return;
+        latestProposalIdRef.current++;
+        workerRef.current.postMessage({ type: 'propose', id: latestProposalIdRef.current, classifier, accepted });
+    }, [dataset, classifier, accepted]);
+
+    const { source, ruleSet: refinedRuleSet, accepted: refinedAccepted, queryKey: resultQueryKey, ...analysis } = state;
+    const currentProposals = proposalState.source === dataset;
+    return {
+        ...analysis,
+        pending: source !== dataset || refinedRuleSet !== ruleSet || refinedAccepted !== accepted || resultQueryKey !== queryKey,
+        proposals: currentProposals ? proposalState.proposals : NO_PROPOSALS,
+        acceptedChanges: currentProposals ? proposalState.accepted : NO_PROPOSALS
+    };
+};
@@ -0,0 +1,82 @@
+import { useState, useEffect } from 'react';
+import { getByKey, putAll, STORES } from '../lib/db';
+import { DEFAULT_CLASSIFIER, validateClassifier, parsePageTypesExport } from '../lib/pageTypeRules';
+
+const CLASSIFIER_KEY = 'pageTypeRules';
+const ACCEPTED_KEY = 'acceptedPageTypes';
+
+/**
+ * The page type classifier and the reclassifications accepted so far (a URL
+ * to page type map), both persisted in IndexedDB.
+ *
+ * Returns { classifier, accepted, isDefault, error, saveClassifier(classifier),
+ * resetClassifier(), acceptPageTypes([{ url, pageType }]), revertPageTypes(urls),
+ * importPageTypes(text) }. `classifier` and `accepted` are null until the
+ * stored ones are loaded. importPageTypes takes an exported file, returns how
+ * many page types it accepted and throws when the file isn't an export.
+ */
+export const usePageTypes = () => {
+    const [classifier, setClassifier] = useState(null);
+    const [accepted, setAccepted] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([getByKey(STORES.settings, CLASSIFIER_KEY), getByKey(STORES.settings, ACCEPTED_KEY)])
+            .then(([storedClassifier, storedAccepted]) => {
+                if (cancelled) return;
+                setClassifier(storedClassifier ? validateClassifier(storedClassifier.classifier) : DEFAULT_CLASSIFIER);
+                setAccepted(storedAccepted ? storedAccepted.pageTypes : {});
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setError(`Using the default classifier without accepted page types: ${err.message}`);
+                setClassifier(DEFAULT_CLASSIFIER);
+                setAccepted({});
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const saveClassifier = (next) => {
+        setClassifier(next);
+        setError(null);
+        putAll(STORES.settings, [{ key: CLASSIFIER_KEY, classifier: next }])
+            .catch(err => setError(`Classifier changes won't be saved: ${err.message}`));
+    };
+
+    const saveAccepted = (next) => {
+        setAccepted(next);
+        putAll(STORES.settings, [{ key: ACCEPTED_KEY, pageTypes: next }])
+            .catch(err => setError(`Accepted page types won't be saved: ${err.message}`));
+    };
+
+    const acceptPageTypes = (changes) => {
+        saveAccepted({ ...accepted, ...Object.fromEntries(changes.map(({ url, pageType }) => [url, pageType])) });
+    };
+
+    const revertPageTypes = (urls) => {
+        const next = { ...accepted };
+        urls.forEach(url => delete next[url]);
+        saveAccepted(next);
+    };
+
+    const importPageTypes = (text) => {
+        const imported = parsePageTypesExport(text);
+        saveAccepted({ ...accepted, ...imported });
+        return Object.keys(imported).length;
+    };
+
+    return {
+        classifier,
+        accepted,
+        isDefault: JSON.stringify(classifier) === JSON.stringify(DEFAULT_CLASSIFIER),
+        error,
+        saveClassifier,
+        resetClassifier: () => saveClassifier(DEFAULT_CLASSIFIER),
+        acceptPageTypes,
+        revertPageTypes,
+        importPageTypes
+    };
+};
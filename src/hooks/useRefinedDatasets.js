@@ -0,0 +1,33 @@
+import { useState, useEffect, useMemo } from 'react';
+import { datasetFromCrawl } from '../lib/dataset';
+
+const NO_DATASETS = [];
+
+/**
+ * `datasets` with the accepted page types (URL to page type) and `ruleSet`
+ * applied in a Web Worker (src/workers/analysis.worker.js), for crawls the
+ * dashboard only compares against. Datasets appear once refined; a dataset
+ * dropped from `datasets` disappears at once.
+ */
+export const useRefinedDatasets = (datasets, { ruleSet, accepted }) => {
+    const [state, setState] = useState({ datasets: NO_DATASETS, refined: NO_DATASETS });
+
+    useEffect(() => {
+        if (datasets.length === 0 || !ruleSet || !accepted) return undefined;
+        const worker = new Worker(new URL('../workers/analysis.worker.js', import.meta.url), { type: 'module' });
+        worker.addEventListener('message', ({ data }) => {
+            if (data.type !== 'crawlsRefined') return;
+            setState({
+                datasets,
+                refined: datasets.map((dataset, index) => ({ ...dataset, ...datasetFromCrawl(data.crawls[index]) }))
+            });
+            worker.terminate();
+        });
+        worker.postMessage({ type: 'refineCrawls', crawls: datasets.map(dataset => dataset.crawl), ruleSet, accepted });
+        return () => worker.terminate();
+    }, [datasets, ruleSet, accepted]);
+
+    return useMemo(() => {
+        return state.refined.filter((_, index) => datasets.includes(state.datasets[index]));
+    }, [state, datasets]);
+};
@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef } from 'react';
+import { getAll, getByKey, putAll, STORES } from '../lib/db';
+import { reconcileIssues, untrackedIssues, mergeRecords, parseRecordsExport, importedChanges } from '../lib/remediation';
+
+// Fingerprints of the crawls the records were reconciled with
+const RECONCILED_KEY = 'reconciledCrawls';
+
+/**
+ * Remediation records persisted in IndexedDB. The first time a crawl
+ * (`crawlKey`, its fingerprint) is seen the records are reconciled with its
+ * `rows` (see reconcileIssues in src/lib/remediation.js), which is stored so
+ * it never happens again for that crawl. Rows recomputed for a crawl already
+ * reconciled, e.g. after a rule edit or on a later visit, only add the issues
+ * not tracked yet: an issue they drop wasn't fixed on the site. Pass a null
+ * `crawlKey` to only load the stored records, e.g. for an older crawl.
+ *
+ * Returns { records, error, updateRecord(key, changes), importRecords(text) }.
+ * `records` is null until the stored records are loaded. When IndexedDB is
+ * unavailable `error` is set and edits only last for the session.
+ */
+export const useRemediation = (rows, crawlKey) => {
+    const [records, setRecords] = useState(null);
+    const [error, setError] = useState(null);
+    // Crawls reconciled this session, for when IndexedDB is unavailable
+    const sessionReconciledRef = useRef(new Set());
+
+    useEffect(() => {
+        let cancelled = false;
+        const changesFor = (stored, reconciled) => {
+            if (!crawlKey) return [];
+            return reconciled.includes(crawlKey) ? untrackedIssues(stored, rows) : reconcileIssues(stored, rows);
+        };
+        Promise.all([getAll(STORES.issues), getByKey(STORES.settings, RECONCILED_KEY)])
+            .then(([stored, setting]) => {
+                if (cancelled) return;
+                const reconciled = setting ? setting.fingerprints : [];
+                const changed = changesFor(stored, reconciled);
+                setRecords(mergeRecords(stored, changed));
+                return putAll(STORES.issues, changed).then(() => {
+                    if (crawlKey && !reconciled.includes(crawlKey)) {
+                        return putAll(STORES.settings, [{ key: RECONCILED_KEY, fingerprints: [...reconciled, crawlKey] }]);
+                    }
+                });
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setError(`Remediation changes won't be saved: ${err.message}`);
+                const reconciled = [...sessionReconciledRef.current];
+                if (crawlKey) sessionReconciledRef.current.add(crawlKey);
+                setRecords(prev => mergeRecords(prev || [], changesFor(prev || [], reconciled)));
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [rows, crawlKey]);
+
+    const save = (changed) => {
+        setRecords(prev => mergeRecords(prev, changed));
+        putAll(STORES.issues, changed).catch(err => setError(`Remediation changes won't be saved: ${err.message}`));
+    };
+
+    // Setting the status by hand overrides an automatic fix
+    const updateRecord = (key, changes) => {
+        const record = records.find(item => item.key === key);
+        const autoFixed = 'status' in changes ? false : record.autoFixed;
+        save([{ ...record, ...changes, autoFixed, updatedAt: new Date().toISOString() }]);
+    };
+
+    // Throws when `text` isn't a tracker export; returns how many records were taken over
+    const importRecords = (text) => {
+        const changed = importedChanges(records, parseRecordsExport(text));
+        save(changed);
+        return changed.length;
+    };
+
+    return { records, error, updateRecord, importRecords };
+};
@@ -0,0 +1,48 @@
+import { useState, useEffect } from 'react';
+import { getByKey, putAll, STORES } from '../lib/db';
+import { DEFAULT_RULE_SET, validateRuleSet } from '../lib/recommendationRules';
+
+const SETTINGS_KEY = 'recommendationRules';
+
+/**
+ * The recommendation rule set, persisted in IndexedDB.
+ *
+ * Returns { ruleSet, isDefault, error, saveRuleSet(ruleSet), resetRuleSet() }.
+ * `ruleSet` is null until the stored one is loaded; without storage (or with a
+ * stored set that no longer validates) the defaults apply.
+ */
+export const useRuleSet = () => {
+    const [ruleSet, setRuleSet] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        getByKey(STORES.settings, SETTINGS_KEY)
+            .then(stored => {
+                if (!cancelled) setRuleSet(stored ? validateRuleSet(stored.ruleSet) : DEFAULT_RULE_SET);
+            })
+            .catch(err => {
+                if (cancelled) return;
+                setError(`Using the default rules: ${err.message}`);
+                setRuleSet(DEFAULT_RULE_SET);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    const saveRuleSet = (next) => {
+        setRuleSet(next);
+        setError(null);
+        putAll(STORES.settings, [{ key: SETTINGS_KEY, ruleSet: next }])
+            .catch(err => setError(`Rule changes won't be saved: ${err.message}`));
+    };
+
+    return {
+        ruleSet,
+        isDefault: JSON.stringify(ruleSet) === JSON.stringify(DEFAULT_RULE_SET),
+        error,
+        saveRuleSet,
+        resetRuleSet: () => saveRuleSet(DEFAULT_RULE_SET)
+    };
+};
@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import { getAll, getByKey, putAll, deleteFrom, STORES } from '../lib/db';
+import { createSnapshot, datasetFromSnapshot, sortSnapshots } from '../lib/snapshots';
+
+/**
+ * Dated snapshots in IndexedDB. Every dataset passed in is saved as a
+ * snapshot unless one with its fingerprint already exists.
+ *
+ * Returns { snapshots, current, error, updateSnapshot(key, changes),
+ * deleteSnapshot(key), openSnapshot(key) }. `snapshots` is sorted by crawl
+ * date and `current` is the snapshot of `dataset` (null until it's saved).
+ * openSnapshot resolves to a dataset for the dashboard.
+ */
+export const useSnapshots = (dataset) => {
+    const [snapshots, setSnapshots] = useState([]);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        if (!dataset) return undefined;
+        let cancelled = false;
+        const save = async () => {
+            const stored = await getAll(STORES.snapshots);
+            if (stored.some(snapshot => snapshot.key === dataset.fingerprint)) return stored;
+            const { snapshot, rows } = createSnapshot(dataset);
+            // Rows first, so a listed snapshot can always be opened
+            await putAll(STORES.snapshotRows, [rows]);
+            await putAll(STORES.snapshots, [snapshot]);
+            return [...stored, snapshot];
+        };
+        save()
+            .then(stored => {
+                if (!cancelled) setSnapshots(sortSnapshots(stored));
+            })
+            .catch(err => {
+                if (!cancelled) setError(`Snapshots can't be saved: ${err.message}`);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [dataset]);
+
+    const updateSnapshot = (key, changes) => {
+        const updated = { ...snapshots.find(snapshot => snapshot.key === key), ...changes };
+        setSnapshots(prev => sortSnapshots(prev.map(snapshot => snapshot.key === key ? updated : snapshot)));
+        putAll(STORES.snapshots, [updated]).catch(err => setError(`Snapshots can't be saved: ${err.message}`));
+    };
+
+    const deleteSnapshot = (key) => {
+        setSnapshots(prev => prev.filter(snapshot => snapshot.key !== key));
+        deleteFrom([STORES.snapshots, STORES.snapshotRows], key).catch(err => setError(`Snapshot couldn't be deleted: ${err.message}`));
+    };
+
+    const openSnapshot = async (key) => {
+        const stored = await getByKey(STORES.snapshotRows, key);
+        if (!stored) throw new Error('The rows of this snapshot are missing');
+        return datasetFromSnapshot(snapshots.find(snapshot => snapshot.key === key), stored);
+    };
+
+    const current = dataset ? snapshots.find(snapshot => snapshot.key === dataset.fingerprint) || null : null;
+
+    return { snapshots, current, error, updateSnapshot, deleteSnapshot, openSnapshot };
+};
@@ -0,0 +1,34 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * State mirrored into the query string.
+ *
+ * `update(patch)` merges the patch and pushes a history entry so back/forward
+ * step through changes; pass `{ replace: true }` for high-frequency updates such
+ * as typing in a search box. Back/forward restore the state from the URL.
+ */
+export const useUrlState = (decode, encode) => {
+    const [state, setState] = useState(() => decode(window.location.search));
+
+    useEffect(() => {
+        const handlePopState = () => setState(decode(window.location.search));
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, [decode]);
+
+    const update = (patch, { replace = false } = {}) => {
+        const next = { ...state, ...patch };
+        const search = encode(next);
+        if (search !== window.location.search) {
+            const url = `${window.location.pathname}${search}${window.location.hash}`;
+            if (replace) {
+                window.history.replaceState(null, '', url);
+            } else {
+                window.history.pushState(null, '', url);
+            }
+        }
+        setState(next);
+    };
+
+    return [state, update];
+};
@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Window a long list of fixed-height rows rendered inside a scroll container.
+ *
+ * Returns the [start, end) range of rows to render, the space to leave above
+ * and below them, and `scrollToIndex(index)` which scrolls just enough to bring
+ * a row into view. `headerHeight` is the height of a sticky header inside the
+ * container, which covers the top of the viewport.
+ */
+export const useVirtualRows = (containerRef, count, { rowHeight, headerHeight = 0, overscan = 10 }) => {
+    const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+    useEffect(() => {
+        const container = containerRef.current;
+        if (!container) return undefined;
+        const update = () => setViewport({ scrollTop: container.scrollTop, height: container.clientHeight });
+        // The observer also reports the initial size
+        const observer = new ResizeObserver(update);
+        observer.observe(container);
+        container.addEventListener('scroll', update, { passive: true });
+        return () => {
+            observer.disconnect();
+            container.removeEventListener('scroll', update);
+        };
+    }, [containerRef]);
+
+    // Row i starts at headerHeight + i * rowHeight, the sticky header hides the first headerHeight pixels
+    const start = Math.max(Math.floor(viewport.scrollTop / rowHeight) - overscan, 0);
+    const end = Math.min(Math.ceil((viewport.scrollTop + viewport.height) / rowHeight) + overscan, count);
+
+    const scrollToIndex = useCallback((index) => {
+        const container = containerRef.current;
+        if (!container) return;
+        const top = index * rowHeight;
+        const visibleHeight = container.clientHeight - headerHeight;
+        if (top < container.scrollTop) {
+            container.scrollTop = top;
+        } else if (top + rowHeight > container.scrollTop + visibleHeight) {
+            container.scrollTop = top + rowHeight - visibleHeight;
+        }
+    }, [containerRef, rowHeight, headerHeight]);
+
+    return {
+        start,
+        end: Math.max(end, start),
+        paddingTop: start * rowHeight,
+        paddingBottom: Math.max(count - end, 0) * rowHeight,
+        scrollToIndex
+    };
+};
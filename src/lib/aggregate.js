@@ -0,0 +1,169 @@
+/**
+ * Dashboard aggregation and filtering.
+ *
+ * Everything the dashboard shows is computed here from the crawl rows, so it
+ * can run in a Web Worker (src/workers/analysis.worker.js) and be reused
+ * outside the browser.
+ */
+import { isReachable } from './dataset.js';
+import { pathOf, rowInSection, buildSectionTree } from './sections.js';
+import { domainOf } from './domains.js';
+import {
+    schemaTypesOf,
+    recommendedSchemasOf,
+    recommendationsOf,
+    errorCountOf,
+    matchesFacets,
+    facetCounts,
+    sortRows
+} from './filters.js';
+import { cooccurrenceMatrix, findSchemaGaps } from './cooccurrence.js';
+import { statusBreakdown, excludedPages, sectionReachability, renderingBreakdown } from './crawlHealth.js';
+
+/**
+ * Pre-parse the list columns of every row once, so filtering and aggregation
+ * don't re-split comma separated strings on every change. Reachable rows get
+ * `index`, their position in the status 200 rows of the dataset.
+ */
+export const indexRows = (crawl) => {
+    let index = 0;
+    return crawl.map(row => ({
+        ...row,
+        index: isReachable(row) ? index++ : -1,
+        path: pathOf(row.url),
+        domain: domainOf(row.url),
+        searchText: row.url.toLowerCase(),
+        schemaTypes: schemaTypesOf(row),
+        recommendedSchemas: recommendedSchemasOf(row),
+        recommendations: recommendationsOf(row),
+        errorCount: errorCountOf(row)
+    }));
+};
+
+/**
+ * Headline numbers for the stat cards.
+ */
+export const summaryStats = (rows) => {
+    const totalPages = rows.length;
+    const scoreTotal = rows.reduce((acc, row) => acc + (row.schema_completeness_score || 0), 0);
+    return {
+        totalPages,
+        avgScore: totalPages > 0 ? scoreTotal / totalPages : 0,
+        withReviews: rows.filter(row => row.has_reviews).length,
+        withFaq: rows.filter(row => row.has_faq).length
+    };
+};
+
+const toChartData = (counts) => Object.entries(counts)
+    .map(([name, value]) => ({ name, value }))
+    .sort((a, b) => b.value - a.value);
+
+/**
+ * Pages per schema type, as [{ name, value }] most common first.
+ */
+export const schemaTypeCounts = (rows) => {
+    const typeCount = {};
+    rows.forEach(row => {
+        schemaTypesOf(row).forEach(type => {
+            typeCount[type] = (typeCount[type] || 0) + 1;
+        });
+    });
+    return toChartData(typeCount);
+};
+
+/**
+ * Pages per page type, as [{ name, value }], leaving out uncategorized pages.
+ */
+export const pageTypeCounts = (rows) => {
+    const typeCount = {};
+    rows.forEach(row => {
+        const type = row.page_type || 'Uncategorized';
+        if (type !== 'Uncategorized') {
+            typeCount[type] = (typeCount[type] || 0) + 1;
+        }
+    });
+    return toChartData(typeCount);
+};
+
+/**
+ * Recommendations per schema split by priority, as [{ name, High, Medium, Low }]
+ * with the most recommended schema first.
+ */
+export const recommendationCounts = (rows) => {
+    const schemaStats = {};
+    rows.forEach(row => {
+        recommendationsOf(row).forEach(({ schema, priority }) => {
+            if (!schemaStats[schema]) {
+                schemaStats[schema] = { name: schema, High: 0, Medium: 0, Low: 0 };
+            }
+            if (schemaStats[schema][priority] !== undefined) {
+                schemaStats[schema][priority]++;
+            }
+        });
+    });
+
+    return Object.values(schemaStats).sort((a, b) => {
+        const totalA = a.High + a.Medium + a.Low;
+        const totalB = b.High + b.Medium + b.Low;
+        return totalB - totalA;
+    });
+};
+
+const matchesRecommendation = (row, recommendation) => !recommendation || recommendationsOf(row).some(rec =>
+    rec.schema === recommendation.schema && rec.priority === recommendation.priority
+);
+
+// Everything that only depends on the selected section
+const analyzeSection = (crawl, rows, section) => {
+    const scopedCrawl = crawl.filter(row => rowInSection(row, section));
+    const scoped = rows.filter(row => rowInSection(row, section));
+    return {
+        scoped,
+        stats: summaryStats(scoped),
+        chartData: schemaTypeCounts(scoped),
+        pageTypeData: pageTypeCounts(scoped),
+        recommendedSchemaData: recommendationCounts(scoped),
+        cooccurrence: cooccurrenceMatrix(scoped),
+        gaps: findSchemaGaps(scoped),
+        health: {
+            crawled: scopedCrawl.length,
+            statuses: statusBreakdown(scopedCrawl),
+            excluded: excludedPages(scopedCrawl).map(({ url, status_code, page_type }) => ({ url, status_code, page_type })),
+            reachability: sectionReachability(scopedCrawl, section),
+            rendering: renderingBreakdown(scoped)
+        }
+    };
+};
+
+/**
+ * Create an analyzer over a dataset's crawl rows. `analyze(query)` takes
+ * { section, search, recommendation, facets, sort } and returns the section
+ * aggregates plus the facet counts and the positions of the matching rows in
+ * the dataset's status 200 rows, in table order. Section aggregates are reused
+ * while only the search, facets or sort change.
+ */
+export const createAnalyzer = (crawl) => {
+    const indexed = indexRows(crawl);
+    const rows = indexed.filter(isReachable);
+    const sectionTree = buildSectionTree(rows);
+    let cached = null;
+
+    const analyze = ({ section, search, recommendation, facets, sort }) => {
+        if (!cached || cached.section !== section) {
+            cached = { section, result: analyzeSection(indexed, rows, section) };
+        }
+        const { scoped, ...aggregates } = cached.result;
+
+        const term = search.toLowerCase();
+        const searched = scoped.filter(row => row.searchText.includes(term) && matchesRecommendation(row, recommendation));
+        const filtered = sortRows(searched.filter(row => matchesFacets(row, facets)), sort);
+
+        return {
+            ...aggregates,
+            counts: facetCounts(searched, facets),
+            indices: Int32Array.from(filtered, row => row.index)
+        };
+    };
+
+    return { sectionTree, analyze };
+};
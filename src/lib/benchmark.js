@@ -0,0 +1,123 @@
+/**
+ * Domain benchmarking: the loaded datasets split by domain, each summarized
+ * into a profile normalized per page so sites of different sizes compare.
+ */
+import { domainOf } from './domains.js';
+import { scoreBand } from './validator.js';
+import { summaryStats } from './aggregate.js';
+import { schemaTypesOf, recommendationsOf, errorCountOf } from './filters.js';
+import { PRIORITIES } from './recommendationRules.js';
+
+export const SCORE_BANDS = [
+    { key: 'complete', label: 'Complete (80%+)' },
+    { key: 'partial', label: 'Partial (50-79%)' },
+    { key: 'poor', label: 'Poor (<50%)' }
+];
+
+const per100 = (count, pages) => pages > 0 ? Math.round((count / pages) * 1000) / 10 : 0;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Whole-site numbers of one domain. Counts are per 100 pages (shares in
+ * percent) unless named otherwise.
+ */
+export const domainProfile = (rows) => {
+    const { totalPages: pages, avgScore, withReviews, withFaq } = summaryStats(rows);
+    const types = {};
+    const pageTypes = {};
+    const recommendations = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+    const bands = Object.fromEntries(SCORE_BANDS.map(band => [band.key, 0]));
+    let errors = 0;
+
+    rows.forEach(row => {
+        schemaTypesOf(row).forEach(type => {
+            types[type] = (types[type] || 0) + 1;
+        });
+        const pageType = row.page_type || 'Uncategorized';
+        if (!pageTypes[pageType]) pageTypes[pageType] = { pages: 0, scoreTotal: 0 };
+        pageTypes[pageType].pages++;
+        pageTypes[pageType].scoreTotal += row.schema_completeness_score || 0;
+        recommendationsOf(row).forEach(({ priority }) => {
+            if (priority in recommendations) recommendations[priority]++;
+        });
+        bands[scoreBand(row.schema_completeness_score || 0)]++;
+        errors += errorCountOf(row);
+    });
+
+    return {
+        pages,
+        avgScore: round(avgScore),
+        reviewShare: per100(withReviews, pages),
+        faqShare: per100(withFaq, pages),
+        errorsPer100: per100(errors, pages),
+        typeCoverage: Object.fromEntries(Object.entries(types).map(([type, count]) => [type, per100(count, pages)])),
+        pageTypeShare: Object.fromEntries(Object.entries(pageTypes).map(([type, group]) => [type, per100(group.pages, pages)])),
+        pageTypeScore: Object.fromEntries(Object.entries(pageTypes).map(([type, group]) => [type, round(group.scoreTotal / group.pages)])),
+        recommendationsPer100: Object.fromEntries(Object.entries(recommendations).map(([priority, count]) => [priority, per100(count, pages)])),
+        bandShare: Object.fromEntries(Object.entries(bands).map(([band, count]) => [band, per100(count, pages)]))
+    };
+};
+
+const countBy = (items, keyOf) => {
+    const counts = {};
+    items.forEach(item => {
+        const key = keyOf(item);
+        counts[key] = (counts[key] || 0) + 1;
+    });
+    return counts;
+};
+
+/**
+ * Split datasets by domain into benchmark entries { key, label, domain,
+ * datasetName, fingerprint, profile }. Datasets are told apart by their
+ * fingerprint, since exports often share a file name. A domain loaded from
+ * two datasets is labeled with the dataset name as well, and with the crawl
+ * date (or the fingerprint) when the names match too, so labels stay unique.
+ */
+export const benchmarkEntries = (datasets) => {
+    const groups = [];
+    datasets.forEach(dataset => {
+        const byDomain = new Map();
+        dataset.rows.forEach(row => {
+            const domain = domainOf(row.url);
+            if (!byDomain.has(domain)) byDomain.set(domain, []);
+            byDomain.get(domain).push(row);
+        });
+        byDomain.forEach((rows, domain) => groups.push({ domain, dataset, rows }));
+    });
+    const domainCounts = countBy(groups, group => group.domain);
+    const nameCounts = countBy(groups, group => `${group.domain}\n${group.dataset.name}`);
+    const datedCounts = countBy(groups, group => `${group.domain}\n${group.dataset.name}\n${group.dataset.crawlDate}`);
+    return groups.map(({ domain, dataset, rows }) => {
+        const name = domain || 'unknown domain';
+        const details = [];
+        if (domainCounts[domain] > 1) details.push(dataset.name);
+        if (nameCounts[`${domain}\n${dataset.name}`] > 1 && dataset.crawlDate) details.push(dataset.crawlDate);
+        if (datedCounts[`${domain}\n${dataset.name}\n${dataset.crawlDate}`] > 1) details.push(dataset.fingerprint);
+        return {
+            key: `${dataset.fingerprint}\n${domain}`,
+            label: details.length > 0 ? `${name} (${details.join(', ')})` : name,
+            domain,
+            datasetName: dataset.name,
+            fingerprint: dataset.fingerprint,
+            profile: domainProfile(rows)
+        };
+    });
+};
+
+/**
+ * Chart rows comparing entries on one profile breakdown: one row per category
+ * with a value per entry label, null where an entry has no such category.
+ * Without explicit `categories` they are ordered by their largest value and
+ * cut to `limit`.
+ */
+export const comparisonRows = (entries, breakdown, { categories = null, limit = Infinity } = {}) => {
+    const names = categories || Array.from(new Set(entries.flatMap(entry => Object.keys(entry.profile[breakdown]))));
+    const rows = names.map(name => ({
+        name,
+        ...Object.fromEntries(entries.map(entry => [entry.label, entry.profile[breakdown][name] ?? null]))
+    }));
+    const peak = (row) => Math.max(...entries.map(entry => row[entry.label]));
+    return (categories ? rows : rows.sort((a, b) => peak(b) - peak(a))).slice(0, limit);
+};
@@ -0,0 +1,85 @@
+/**
+ * Schema type co-occurrence and gap detection.
+ *
+ * The co-occurrence matrix answers "do FAQPage pages also carry WebPage?",
+ * the gap finder answers "which Article pages lack BreadcrumbList?".
+ */
+import { schemaTypesOf } from './filters.js';
+
+// A type is expected on a page type when more than this share of its pages carry it
+export const GAP_THRESHOLD = 0.5;
+
+/**
+ * Count pages for every pair of schema types.
+ *
+ * Returns { types, counts } where types are ordered by how many pages carry
+ * them and counts[i][j] is the number of pages carrying both types[i] and
+ * types[j]. The diagonal holds the page count of each type.
+ */
+export const cooccurrenceMatrix = (rows) => {
+    const typeLists = rows.map(row => Array.from(new Set(schemaTypesOf(row))));
+
+    const totals = {};
+    typeLists.forEach(types => {
+        types.forEach(type => {
+            totals[type] = (totals[type] || 0) + 1;
+        });
+    });
+    const types = Object.keys(totals).sort((a, b) => totals[b] - totals[a] || a.localeCompare(b));
+    const position = new Map(types.map((type, i) => [type, i]));
+
+    // One pass over the rows, counting every pair each page carries
+    const counts = types.map(() => new Array(types.length).fill(0));
+    typeLists.forEach(list => {
+        const indices = list.map(type => position.get(type));
+        indices.forEach(i => {
+            indices.forEach(j => {
+                counts[i][j]++;
+            });
+        });
+    });
+
+    return { types, counts };
+};
+
+/**
+ * Find schema types missing from pages when most pages of the same page_type
+ * carry them.
+ *
+ * Returns one entry per (page type, missing type) pair:
+ * { pageType, schemaType, share, carrying, groupSize, missing }, ranked most
+ * unusual first, i.e. by the share of the page type that does carry the schema.
+ */
+export const findSchemaGaps = (rows, threshold = GAP_THRESHOLD) => {
+    const groups = {};
+    rows.forEach(row => {
+        const pageType = row.page_type || 'Uncategorized';
+        if (!groups[pageType]) groups[pageType] = [];
+        groups[pageType].push(schemaTypesOf(row));
+    });
+
+    const gaps = [];
+    Object.entries(groups).forEach(([pageType, pages]) => {
+        const carrying = {};
+        pages.forEach(types => {
+            new Set(types).forEach(type => {
+                carrying[type] = (carrying[type] || 0) + 1;
+            });
+        });
+
+        Object.entries(carrying).forEach(([schemaType, count]) => {
+            const share = count / pages.length;
+            if (share <= threshold || count === pages.length) return;
+            gaps.push({
+                pageType,
+                schemaType,
+                share,
+                carrying: count,
+                groupSize: pages.length,
+                missing: pages.length - count
+            });
+        });
+    });
+
+    return gaps.sort((a, b) => b.share - a.share || b.groupSize - a.groupSize || a.pageType.localeCompare(b.pageType));
+};
@@ -0,0 +1,81 @@
+/**
+ * Crawl health: status codes, unreachable pages and client-side rendering,
+ * computed over every crawled row rather than only the status 200 pages.
+ */
+import { isReachable } from './dataset.js';
+import { pathOfRow, domainOfRow, rowInSection, parseSection, spansDomains } from './sections.js';
+import { schemaTypesOf } from './filters.js';
+
+/**
+ * Page count per status code, lowest code first.
+ */
+export const statusBreakdown = (crawl) => {
+    const counts = {};
+    crawl.forEach(row => {
+        counts[row.status_code] = (counts[row.status_code] || 0) + 1;
+    });
+    return Object.entries(counts)
+        .map(([status, count]) => ({ status: Number(status), count }))
+        .sort((a, b) => a.status - b.status);
+};
+
+/**
+ * Pages left out of the schema analysis because they didn't answer 200.
+ */
+export const excludedPages = (crawl) => crawl.filter(row => !isReachable(row));
+
+/**
+ * Share of reachable pages in each direct subsection of `section` (the whole
+ * site when null), as in the section tree: the domains of a crawl spanning
+ * several. Pages at the section path itself are reported under it. Least
+ * reachable sections come first.
+ */
+export const sectionReachability = (crawl, section = null) => {
+    const { domain, path: sectionPath } = parseSection(section);
+    const base = sectionPath !== '/' ? sectionPath : '';
+    const prefix = domain || '';
+    const scoped = crawl.filter(row => rowInSection(row, section));
+    const byDomain = !section && spansDomains(scoped);
+    const groups = {};
+    scoped.forEach(row => {
+        const rest = pathOfRow(row).slice(base.length).split('/').filter(Boolean);
+        let path = rest.length > 0 ? `${prefix}${base}/${rest[0]}` : `${prefix}${base}` || '/';
+        if (byDomain) path = domainOfRow(row);
+        if (!groups[path]) groups[path] = { path, total: 0, reachable: 0 };
+        groups[path].total++;
+        if (isReachable(row)) groups[path].reachable++;
+    });
+    return Object.values(groups)
+        .map(group => ({ ...group, share: group.reachable / group.total }))
+        .sort((a, b) => a.share - b.share || b.total - a.total || a.path.localeCompare(b.path));
+};
+
+const renderingStats = (rows) => {
+    const pages = rows.length;
+    return {
+        pages,
+        withSchema: rows.filter(row => schemaTypesOf(row).length > 0).length,
+        avgScore: pages > 0 ? rows.reduce((acc, row) => acc + (row.schema_completeness_score || 0), 0) / pages : 0
+    };
+};
+
+/**
+ * Compare JS-rendered pages, whose schema may only exist after client-side
+ * rendering, with static ones. Returns { rendered, static, byPageType } where
+ * byPageType lists { name, rendered, static } page counts.
+ */
+export const renderingBreakdown = (rows) => {
+    const byPageType = {};
+    rows.forEach(row => {
+        const name = row.page_type || 'Uncategorized';
+        if (!byPageType[name]) byPageType[name] = { name, rendered: 0, static: 0 };
+        byPageType[name][row.js_rendered ? 'rendered' : 'static']++;
+    });
+
+    return {
+        rendered: renderingStats(rows.filter(row => row.js_rendered)),
+        static: renderingStats(rows.filter(row => !row.js_rendered)),
+        byPageType: Object.values(byPageType)
+            .sort((a, b) => (b.rendered + b.static) - (a.rendered + a.static))
+    };
+};
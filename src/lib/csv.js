@@ -0,0 +1,107 @@
+/**
+ * Minimal RFC 4180 CSV reader and writer.
+ *
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes,
+ * which is everything pandas' `to_csv` emits for the analysis export.
+ */
+
+export class CsvSyntaxError extends Error {
+    constructor(message, line) {
+        super(`Line ${line}: ${message}`);
+        this.name = 'CsvSyntaxError';
+        this.line = line;
+    }
+}
+
+/**
+ * Parse CSV text into a header and a list of records.
+ * Each record keeps the (1-based) line it started on so callers can report
+ * malformed rows precisely.
+ */
+export const parseCsv = (text) => {
+    const records = [];
+    let field = '';
+    let values = [];
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+    let i = 0;
+
+    // Strip a UTF-8 BOM, Excel likes to add one
+    if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+    const endRecord = () => {
+        values.push(field);
+        // Ignore completely blank lines
+        if (!(values.length === 1 && values[0] === '')) {
+            records.push({ line: recordLine, values });
+        }
+        values = [];
+        field = '';
+    };
+
+    for (; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    inQuotes = false;
+                }
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            if (field !== '') {
+                throw new CsvSyntaxError('Unexpected quote inside an unquoted field', line);
+            }
+            inQuotes = true;
+        } else if (char === ',') {
+            values.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new CsvSyntaxError('Unterminated quoted field', recordLine);
+    }
+    if (field !== '' || values.length > 0) endRecord();
+
+    const [headerRecord, ...rows] = records;
+    return {
+        header: headerRecord ? headerRecord.values.map(h => h.trim()) : [],
+        records: rows
+    };
+};
+
+const escapeField = (value) => {
+    if (value === null || value === undefined) return '';
+    const str = typeof value === 'boolean' ? (value ? 'True' : 'False') : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Serialize rows to CSV using the given column order.
+ * Booleans are written as True/False to match the pandas export.
+ */
+export const toCsv = (rows, columns) => {
+    const lines = [columns.join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(col => escapeField(row[col])).join(','));
+    });
+    return lines.join('\n') + '\n';
+};
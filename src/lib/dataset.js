@@ -0,0 +1,333 @@
+/**
+ * Loading and cleaning of crawl exports.
+ *
+ * Mirrors the rules in clean_data.py so a raw efax_analysis.csv (or a JSON
+ * export of it) dropped into the dashboard ends up identical to the bundled
+ * cleaned_data.json.
+ *
+ * A dataset keeps every crawled row in `crawl` for the crawl health section;
+ * `rows`, which the schema analysis works on, only holds status_code 200 pages.
+ */
+import { parseCsv, CsvSyntaxError } from './csv.js';
+import { withValidatorScore } from './validator.js';
+
+// Column order of efax_analysis.csv
+export const ANALYSIS_COLUMNS = [
+    'url',
+    'status_code',
+    'js_rendered',
+    'page_type',
+    'schema_types_found',
+    'schema_count',
+    'primary_schema_type',
+    'schema_completeness_score',
+    'missing_required_properties',
+    'validation_errors',
+    'has_faq',
+    'has_reviews',
+    'has_product_data',
+    'recommended_schemas',
+    'recommendation_priority'
+];
+
+// Optional columns some crawlers add; the first valid date found is the crawl date
+const CRAWL_DATE_COLUMNS = ['crawl_date', 'crawl_timestamp'];
+
+const BOOLEAN_COLUMNS = ['js_rendered', 'has_faq', 'has_reviews', 'has_product_data'];
+const NUMBER_COLUMNS = ['status_code', 'schema_count', 'schema_completeness_score', 'validation_errors'];
+const TEXT_COLUMNS = ['missing_required_properties', 'validation_errors', 'recommended_schemas', 'recommendation_priority'];
+const EMPTY_MARKERS = ['Unknown', 'None', 'nan'];
+
+export class DatasetError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'DatasetError';
+        this.details = details;
+    }
+}
+
+/**
+ * Split a comma separated list column ("WebPage, Article") into trimmed, non-empty items.
+ */
+export const splitList = (value) => {
+    if (value === null || value === undefined || value === '') return [];
+    return String(value).split(',').map(t => t.trim()).filter(Boolean);
+};
+
+/**
+ * Parse recommendation_priority entries like "Article(High)" into { schema, priority }.
+ */
+export const parseRecommendations = (value) => {
+    return splitList(value).reduce((acc, rec) => {
+        const match = rec.match(/(.+)\((.+)\)/);
+        if (match) {
+            acc.push({ schema: match[1].trim(), priority: match[2].trim() });
+        }
+        return acc;
+    }, []);
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const toBoolean = (value, column) => {
+    if (typeof value === 'boolean') return value;
+    const str = String(value).trim().toLowerCase();
+    if (str === 'true' || str === '1') return true;
+    if (str === 'false' || str === '0') return false;
+    throw new Error(`"${column}" must be True or False, got "${value}"`);
+};
+
+const toNumber = (value, column) => {
+    if (typeof value === 'number') return value;
+    const num = Number(String(value).trim());
+    if (Number.isNaN(num)) {
+        throw new Error(`"${column}" must be a number, got "${value}"`);
+    }
+    return num;
+};
+
+/**
+ * Coerce a raw record (all strings from CSV, or loosely typed JSON) into the
+ * typed shape the dashboard expects. Throws on values that cannot be coerced.
+ */
+const coerceRecord = (record) => {
+    const row = {};
+    ANALYSIS_COLUMNS.forEach(col => {
+        const value = record[col];
+        if (isEmpty(value)) {
+            row[col] = null;
+        } else if (BOOLEAN_COLUMNS.includes(col)) {
+            row[col] = toBoolean(value, col);
+        } else if (NUMBER_COLUMNS.includes(col)) {
+            row[col] = toNumber(value, col);
+        } else {
+            row[col] = String(value);
+        }
+    });
+
+    if (isEmpty(row.url)) {
+        throw new Error('"url" is empty');
+    }
+    if (row.status_code === null) {
+        throw new Error('"status_code" is empty');
+    }
+    return row;
+};
+
+// Only pages that answered 200 carry schema worth analysing
+export const isReachable = (row) => row.status_code === 200;
+
+/**
+ * Apply the clean_data.py rules to typed rows, keeping every status code.
+ */
+export const cleanRows = (rows) => {
+    return rows.map(row => {
+        const cleaned = { ...row };
+
+        // Remove 'Unknown' from the schema type list
+        cleaned.schema_types_found = splitList(row.schema_types_found)
+            .filter(t => t.toLowerCase() !== 'unknown')
+            .join(', ');
+
+        if (isEmpty(row.primary_schema_type) || EMPTY_MARKERS.includes(row.primary_schema_type)) {
+            cleaned.primary_schema_type = 'Unspecified';
+        }
+        if (isEmpty(row.page_type) || EMPTY_MARKERS.includes(row.page_type)) {
+            cleaned.page_type = 'Uncategorized';
+        }
+
+        TEXT_COLUMNS.forEach(col => {
+            if (cleaned[col] === null) cleaned[col] = '';
+        });
+        return cleaned;
+    });
+};
+
+const checkColumns = (columns) => {
+    const missing = ANALYSIS_COLUMNS.filter(col => !columns.includes(col));
+    if (missing.length > 0) {
+        throw new DatasetError(
+            `Missing required column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}`
+        );
+    }
+};
+
+const readCsvRecords = (text) => {
+    let parsed;
+    try {
+        parsed = parseCsv(text);
+    } catch (err) {
+        if (err instanceof CsvSyntaxError) {
+            throw new DatasetError(`Could not parse CSV. ${err.message}`);
+        }
+        throw err;
+    }
+
+    checkColumns(parsed.header);
+
+    const records = [];
+    const skipped = [];
+    parsed.records.forEach(({ line, values }) => {
+        if (values.length !== parsed.header.length) {
+            skipped.push({
+                line,
+                message: `Expected ${parsed.header.length} columns, found ${values.length}`
+            });
+            return;
+        }
+        const record = {};
+        parsed.header.forEach((col, i) => {
+            record[col] = values[i];
+        });
+        records.push({ line, record });
+    });
+    return { records, skipped };
+};
+
+const readJsonRecords = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new DatasetError(`Could not parse JSON. ${err.message}`);
+    }
+    if (!Array.isArray(parsed)) {
+        throw new DatasetError('JSON export must be an array of page records');
+    }
+    if (parsed.length === 0) {
+        return { records: [], skipped: [] };
+    }
+
+    const columns = new Set();
+    parsed.forEach(item => {
+        if (item && typeof item === 'object') {
+            Object.keys(item).forEach(key => columns.add(key));
+        }
+    });
+    checkColumns(Array.from(columns));
+
+    const records = [];
+    const skipped = [];
+    parsed.forEach((item, index) => {
+        // Report JSON records by their 1-based position in the array
+        const line = index + 1;
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            skipped.push({ line, message: 'Record is not an object' });
+            return;
+        }
+        records.push({ line, record: item });
+    });
+    return { records, skipped };
+};
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Normalize a date (string, timestamp or Date) to YYYY-MM-DD, or null when it isn't one.
+ */
+export const toIsoDate = (value) => {
+    if (isEmpty(value)) return null;
+    if (typeof value === 'string' && ISO_DATE_RE.test(value.trim())) {
+        return Number.isNaN(Date.parse(value.trim())) ? null : value.trim();
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+};
+
+/**
+ * Find the crawl date of an export: a crawl date column, else a date in the
+ * file name ("efax_analysis_2025-03-14.csv" or "...20250314..."). Returns
+ * { crawlDate, crawlDateSource } with nulls when neither has one.
+ */
+const detectCrawlDate = (records, fileName) => {
+    for (const col of CRAWL_DATE_COLUMNS) {
+        const found = records.find(({ record }) => toIsoDate(record[col]));
+        if (found) return { crawlDate: toIsoDate(found.record[col]), crawlDateSource: col };
+    }
+    const match = fileName.match(/(?:^|\D)(\d{4})-?(\d{2})-?(\d{2})(?:\D|$)/);
+    const fromName = match ? toIsoDate(`${match[1]}-${match[2]}-${match[3]}`) : null;
+    return fromName
+        ? { crawlDate: fromName, crawlDateSource: 'file name' }
+        : { crawlDate: null, crawlDateSource: null };
+};
+
+/**
+ * Short content hash, so the same export loaded twice is recognized.
+ */
+export const fingerprintText = (text) => {
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return `${(hash >>> 0).toString(16).padStart(8, '0')}-${text.length}`;
+};
+
+/**
+ * Split cleaned crawl rows into a dataset: { rows, crawl, excluded }.
+ */
+export const datasetFromCrawl = (crawl) => {
+    const rows = crawl.filter(isReachable);
+    return { rows, crawl, excluded: crawl.length - rows.length };
+};
+
+/**
+ * Parse the contents of a CSV or JSON crawl export and clean it.
+ *
+ * Besides the dataset this returns the crawl date when the file carries one
+ * (see detectCrawlDate) and a `fingerprint` of the contents.
+ *
+ * Throws a DatasetError when the file cannot be used at all (syntax errors,
+ * missing columns, no usable rows). Individual malformed rows are skipped and
+ * reported in `skipped` as { line, message }; for JSON, `line` is the record's
+ * position in the array.
+ */
+export const parseDatasetText = (text, fileName = '') => {
+    const trimmed = text.trim();
+    if (!trimmed) {
+        throw new DatasetError('File is empty');
+    }
+
+    const isJson = /\.json$/i.test(fileName) || trimmed.startsWith('[');
+    const { records, skipped } = isJson ? readJsonRecords(trimmed) : readCsvRecords(text);
+
+    const typed = [];
+    records.forEach(({ line, record }) => {
+        try {
+            typed.push(coerceRecord(record));
+        } catch (err) {
+            skipped.push({ line, message: err.message });
+        }
+    });
+    skipped.sort((a, b) => a.line - b.line);
+
+    if (typed.length === 0) {
+        throw new DatasetError('No valid rows found in file', skipped);
+    }
+
+    const dataset = datasetFromCrawl(cleanRows(typed).map(withValidatorScore));
+    if (dataset.rows.length === 0) {
+        throw new DatasetError(`None of the ${typed.length} rows have status_code 200`, skipped);
+    }
+    return { ...dataset, skipped, ...detectCrawlDate(records, fileName), fingerprint: fingerprintText(trimmed) };
+};
+
+/**
+ * Fetch a crawl export served over HTTP (the bundled dataset lives in
+ * public/data) and parse it like a dropped file. Without a crawl date in the
+ * file, the Last-Modified header stands in for it.
+ */
+export const fetchDataset = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new DatasetError(`Could not load ${url} (HTTP ${response.status})`);
+    }
+    const name = url.split(/[?#]/)[0].split('/').pop();
+    const dataset = { name, ...parseDatasetText(await response.text(), name) };
+    const lastModified = toIsoDate(response.headers.get('Last-Modified'));
+    if (!dataset.crawlDate && lastModified) {
+        return { ...dataset, crawlDate: lastModified, crawlDateSource: 'last modified' };
+    }
+    return dataset;
+};
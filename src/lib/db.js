@@ -0,0 +1,88 @@
+/**
+ * Local persistence in IndexedDB. Each store is keyed by the `key` field of
+ * its records.
+ */
+const DB_NAME = 'schema-dashboard';
+const DB_VERSION = 3;
+
+// Snapshot rows are kept apart from the snapshot list so listing doesn't load every crawl
+export const STORES = {
+    issues: 'issues',
+    snapshots: 'snapshots',
+    snapshotRows: 'snapshotRows',
+    settings: 'settings'
+};
+
+let dbPromise = null;
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available in this browser'));
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            Object.values(STORES).forEach(name => {
+                if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'key' });
+            });
+        };
+        dbPromise = requestResult(request).catch(err => {
+            // Let the next call try again
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Every record in a store.
+ */
+export const getAll = async (store) => {
+    const db = await openDatabase();
+    return requestResult(db.transaction(store).objectStore(store).getAll());
+};
+
+/**
+ * One record by key, undefined when there is none.
+ */
+export const getByKey = async (store, key) => {
+    const db = await openDatabase();
+    return requestResult(db.transaction(store).objectStore(store).get(key));
+};
+
+const runTransaction = (db, stores, write) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(stores, 'readwrite');
+    write(transaction);
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * Insert or replace records in one transaction.
+ */
+export const putAll = async (store, records) => {
+    if (records.length === 0) return;
+    const db = await openDatabase();
+    await runTransaction(db, store, transaction => {
+        const objectStore = transaction.objectStore(store);
+        records.forEach(record => objectStore.put(record));
+    });
+};
+
+/**
+ * Delete the record with `key` from each of `stores` in one transaction.
+ */
+export const deleteFrom = async (stores, key) => {
+    const db = await openDatabase();
+    await runTransaction(db, stores, transaction => {
+        stores.forEach(store => transaction.objectStore(store).delete(key));
+    });
+};
@@ -0,0 +1,57 @@
+/**
+ * Parsing shared by the JSON definition files users edit: recommendation
+ * rules, page type rules and quality gate policies. Each is a versioned object
+ * holding a list of items with unique ids, and every problem is reported as
+ * { line, message } where `line` is the item's 1-based position.
+ */
+
+export class DefinitionError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = new.target.name;
+        this.details = details;
+    }
+}
+
+export const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * Check a parsed definition { version, [listKey]: [...] }. `itemProblems(item)`
+ * returns the problems of one item as messages; duplicate ids are added here.
+ * Throws an `ErrorType` (a DefinitionError) naming the definition as `noun`.
+ */
+export const validateDefinition = (definition, { noun, version, listKey, itemProblems, ErrorType = DefinitionError }) => {
+    if (!definition || typeof definition !== 'object' || !Array.isArray(definition[listKey])) {
+        throw new ErrorType(`A ${noun} is an object with a "${listKey}" list`);
+    }
+    if (definition.version !== version) {
+        throw new ErrorType(`Unsupported ${noun} version ${definition.version}, expected ${version}`);
+    }
+    const details = [];
+    const seen = new Set();
+    definition[listKey].forEach((item, index) => {
+        itemProblems(item).forEach(message => details.push({ line: index + 1, message }));
+        if (item && typeof item.id === 'string') {
+            if (seen.has(item.id)) details.push({ line: index + 1, message: `duplicate id "${item.id}"` });
+            seen.add(item.id);
+        }
+    });
+    if (details.length > 0) {
+        throw new ErrorType(`${details.length} problem${details.length > 1 ? 's' : ''} in the ${noun}`, details);
+    }
+    return definition;
+};
+
+/**
+ * Parse definition JSON and run `validate` on it, reporting syntax errors as
+ * an `ErrorType`.
+ */
+export const parseDefinition = (text, validate, ErrorType = DefinitionError) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new ErrorType(`Could not parse JSON. ${err.message}`);
+    }
+    return validate(parsed);
+};
@@ -0,0 +1,96 @@
+/**
+ * Crawl-to-crawl comparison. Pages are matched by url.
+ */
+import { splitList, parseRecommendations } from './dataset.js';
+
+const difference = (a, b) => a.filter(item => !b.includes(item));
+
+const errorCount = (row) => Number(row.validation_errors) || 0;
+
+// missing_required_properties holds the individual error messages
+const errorMessages = (row) => splitList(row.missing_required_properties);
+
+const recommendationKeys = (row) =>
+    parseRecommendations(row.recommendation_priority).map(rec => `${rec.schema}(${rec.priority})`);
+
+/**
+ * Compare a single page across two crawls. Returns null when nothing tracked changed.
+ */
+const diffPage = (before, after) => {
+    const typesBefore = splitList(before.schema_types_found);
+    const typesAfter = splitList(after.schema_types_found);
+    const messagesBefore = errorMessages(before);
+    const messagesAfter = errorMessages(after);
+    const recsBefore = recommendationKeys(before);
+    const recsAfter = recommendationKeys(after);
+
+    const scoreBefore = before.schema_completeness_score || 0;
+    const scoreAfter = after.schema_completeness_score || 0;
+
+    const change = {
+        url: after.url,
+        before,
+        after,
+        typesGained: difference(typesAfter, typesBefore),
+        typesLost: difference(typesBefore, typesAfter),
+        scoreBefore,
+        scoreAfter,
+        scoreDelta: Math.round((scoreAfter - scoreBefore) * 100) / 100,
+        errorsBefore: errorCount(before),
+        errorsAfter: errorCount(after),
+        errorsAppeared: difference(messagesAfter, messagesBefore),
+        errorsFixed: difference(messagesBefore, messagesAfter),
+        recommendationsResolved: difference(recsBefore, recsAfter),
+        recommendationsAdded: difference(recsAfter, recsBefore)
+    };
+
+    const changed = change.typesGained.length > 0
+        || change.typesLost.length > 0
+        || change.scoreDelta !== 0
+        || change.errorsBefore !== change.errorsAfter
+        || change.errorsAppeared.length > 0
+        || change.errorsFixed.length > 0
+        || change.recommendationsResolved.length > 0
+        || change.recommendationsAdded.length > 0;
+
+    return changed ? change : null;
+};
+
+const average = (rows) => rows.length === 0
+    ? 0
+    : rows.reduce((acc, row) => acc + (row.schema_completeness_score || 0), 0) / rows.length;
+
+/**
+ * Diff two datasets. `beforeRows` is the baseline crawl, `afterRows` the newer one.
+ */
+export const diffDatasets = (beforeRows, afterRows) => {
+    const beforeByUrl = new Map(beforeRows.map(row => [row.url, row]));
+    const afterByUrl = new Map(afterRows.map(row => [row.url, row]));
+
+    const added = afterRows.filter(row => !beforeByUrl.has(row.url));
+    const removed = beforeRows.filter(row => !afterByUrl.has(row.url));
+
+    const changes = [];
+    afterRows.forEach(after => {
+        const before = beforeByUrl.get(after.url);
+        if (!before) return;
+        const change = diffPage(before, after);
+        if (change) changes.push(change);
+    });
+
+    const pagesWith = (predicate) => changes.filter(predicate);
+
+    return {
+        added,
+        removed,
+        changes,
+        typeChanges: pagesWith(c => c.typesGained.length > 0 || c.typesLost.length > 0),
+        improved: pagesWith(c => c.scoreDelta > 0).sort((a, b) => b.scoreDelta - a.scoreDelta),
+        regressed: pagesWith(c => c.scoreDelta < 0).sort((a, b) => a.scoreDelta - b.scoreDelta),
+        errorsAppeared: pagesWith(c => c.errorsAppeared.length > 0 || c.errorsAfter > c.errorsBefore),
+        errorsFixed: pagesWith(c => c.errorsFixed.length > 0 || c.errorsAfter < c.errorsBefore),
+        recommendationsResolved: pagesWith(c => c.recommendationsResolved.length > 0),
+        avgScoreBefore: average(beforeRows),
+        avgScoreAfter: average(afterRows)
+    };
+};
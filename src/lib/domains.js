@@ -0,0 +1,46 @@
+/**
+ * Domains of crawled pages, for datasets covering other brands or competitors.
+ */
+
+/**
+ * Host name of a URL without a leading "www.", empty when it doesn't parse.
+ */
+export const domainOf = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+};
+
+/**
+ * Domains among rows, most pages first.
+ */
+export const domainsOf = (rows) => {
+    const counts = new Map();
+    rows.forEach(row => {
+        const domain = domainOf(row.url);
+        counts.set(domain, (counts.get(domain) || 0) + 1);
+    });
+    return Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+};
+
+/**
+ * The most common domain among rows, empty for no rows.
+ */
+export const primaryDomain = (rows) => domainsOf(rows)[0] || '';
+
+/**
+ * Short form of a URL for tables: the path (with query) for pages on
+ * `domain`, host and path for pages elsewhere.
+ */
+export const displayUrl = (url, domain) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return url;
+    }
+    const rest = `${parsed.pathname}${parsed.search}${parsed.hash}`;
+    return parsed.hostname.replace(/^www\./, '') === domain ? rest : `${parsed.hostname}${rest}`;
+};
@@ -0,0 +1,335 @@
+/**
+ * Structured data extraction from raw HTML.
+ *
+ * Documents how each column of efax_analysis.csv is derived from a page and
+ * builds rows in that exact shape. Used by scripts/extract-schema.js; kept free
+ * of Node APIs so it also runs in the browser.
+ */
+import { validatePage } from './validator.js';
+
+// Types that make a page an article for page_type and recommendation purposes
+const ARTICLE_TYPES = ['Article', 'BlogPosting', 'NewsArticle', 'TechArticle'];
+const REVIEW_TYPES = ['Review', 'AggregateRating'];
+const PRODUCT_TYPES = ['Product', 'Offer', 'AggregateOffer'];
+
+// primary_schema_type is the first of these found on the page
+const PRIMARY_TYPE_PRIORITY = [
+    ...ARTICLE_TYPES,
+    'Product',
+    'LocalBusiness',
+    'FAQPage',
+    'CollectionPage',
+    'WebPage'
+];
+
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+        const num = code[1] === 'x' || code[1] === 'X' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+        return Number.isNaN(num) ? match : String.fromCodePoint(num);
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? match;
+});
+
+const parseAttributes = (source) => {
+    const attrs = {};
+    const re = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+    let match;
+    while ((match = re.exec(source)) !== null) {
+        const value = match[2] ?? match[3] ?? match[4] ?? '';
+        attrs[match[1].toLowerCase()] = decodeEntities(value);
+    }
+    return attrs;
+};
+
+/**
+ * Normalize a schema.org type reference ("https://schema.org/Article", "schema:Article") to "Article".
+ */
+export const normalizeType = (type) => String(type).trim().replace(/^(https?:\/\/schema\.org\/|schema:)/i, '');
+
+const typesOf = (node) => {
+    const type = node['@type'];
+    if (!type) return [];
+    return (Array.isArray(type) ? type : [type]).map(normalizeType).filter(Boolean);
+};
+
+/**
+ * Extract the JSON-LD blocks of a page.
+ * Returns the parsed blocks and one error per block that is not valid JSON.
+ */
+export const extractJsonLd = (html) => {
+    const blocks = [];
+    const errors = [];
+    const re = /<script\b([^>]*)>([\s\S]*?)<\/script\s*>/gi;
+    let match;
+    let index = 0;
+    while ((match = re.exec(html)) !== null) {
+        const attrs = parseAttributes(match[1]);
+        if ((attrs.type || '').trim().toLowerCase() !== 'application/ld+json') continue;
+        index++;
+        // Some CMSs wrap the payload in an HTML comment or CDATA section
+        const body = match[2].trim()
+            .replace(/^<!--/, '').replace(/-->$/, '')
+            .replace(/^\/\/\s*<!\[CDATA\[/, '').replace(/\/\/\s*\]\]>$/, '')
+            .trim();
+        if (!body) continue;
+        try {
+            blocks.push(JSON.parse(body));
+        } catch (err) {
+            errors.push(`JSON-LD block ${index}: ${err.message}`);
+        }
+    }
+    return { blocks, errors };
+};
+
+const itemPropValue = (tag, attrs, text) => {
+    if (attrs.content !== undefined) return attrs.content;
+    switch (tag) {
+        case 'a':
+        case 'area':
+        case 'link':
+            return attrs.href ?? '';
+        case 'audio':
+        case 'embed':
+        case 'iframe':
+        case 'img':
+        case 'source':
+        case 'track':
+        case 'video':
+            return attrs.src ?? '';
+        case 'object':
+            return attrs.data ?? '';
+        case 'data':
+        case 'meter':
+            return attrs.value ?? '';
+        case 'time':
+            return attrs.datetime ?? text.trim();
+        default:
+            return text.replace(/\s+/g, ' ').trim();
+    }
+};
+
+const addProperty = (item, names, value) => {
+    names.forEach(name => {
+        if (item[name] === undefined) {
+            item[name] = value;
+        } else if (Array.isArray(item[name])) {
+            item[name].push(value);
+        } else {
+            item[name] = [item[name], value];
+        }
+    });
+};
+
+/**
+ * Extract top-level microdata items (itemscope without itemprop) as JSON-LD
+ * shaped objects, with nested items as nested objects.
+ */
+export const extractMicrodata = (html) => {
+    const items = [];
+    const stack = [];
+    // Drop comments, scripts and styles so their contents are not read as markup or text
+    const cleaned = html
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '');
+    const re = /<(\/?)([a-zA-Z][\w:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>|([^<]+)/g;
+
+    const closeElement = (element) => {
+        const parentItem = [...stack].reverse().find(el => el.item)?.item;
+        if (element.props) {
+            const value = element.item ?? itemPropValue(element.tag, element.attrs, element.text);
+            if (parentItem) addProperty(parentItem, element.props, value);
+        } else if (element.item) {
+            items.push(element.item);
+        }
+    };
+
+    let match;
+    while ((match = re.exec(cleaned)) !== null) {
+        const [, closing, rawTag, attrSource, text] = match;
+
+        if (text !== undefined) {
+            const decoded = decodeEntities(text);
+            stack.forEach(el => {
+                if (el.props && !el.item) el.text += decoded;
+            });
+            continue;
+        }
+
+        const tag = rawTag.toLowerCase();
+        if (closing) {
+            const index = stack.map(el => el.tag).lastIndexOf(tag);
+            // Stray close tag, ignore it
+            if (index === -1) continue;
+            // Pop implicitly closed elements (unclosed <p>, <li>, ...) as well
+            while (stack.length > index) {
+                closeElement(stack.pop());
+            }
+            continue;
+        }
+
+        const attrs = parseAttributes(attrSource);
+        const element = {
+            tag,
+            attrs,
+            text: '',
+            props: attrs.itemprop ? attrs.itemprop.split(/\s+/).filter(Boolean) : null,
+            item: null
+        };
+        if (attrs.itemscope !== undefined) {
+            element.item = {};
+            if (attrs.itemtype) {
+                const types = attrs.itemtype.split(/\s+/).filter(Boolean).map(normalizeType);
+                element.item['@type'] = types.length === 1 ? types[0] : types;
+            }
+        }
+
+        if (VOID_ELEMENTS.has(tag) || /\/\s*$/.test(attrSource)) {
+            closeElement(element);
+        } else {
+            stack.push(element);
+        }
+    }
+    while (stack.length > 0) {
+        closeElement(stack.pop());
+    }
+    return items;
+};
+
+/**
+ * Walk parsed structured data and list every typed entity, including
+ * `@graph` members and entities nested in properties.
+ */
+export const collectEntities = (roots, source) => {
+    const entities = [];
+    const visit = (node) => {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        const types = typesOf(node);
+        if (types.length > 0) {
+            entities.push({ type: types[0], types, data: node, source });
+        }
+        Object.entries(node).forEach(([key, value]) => {
+            if (key !== '@context' && key !== '@type') visit(value);
+        });
+    };
+    visit(roots);
+    return entities;
+};
+
+const hasMarker = (html, pattern) => {
+    const re = /\b(?:id|class)\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi;
+    let match;
+    while ((match = re.exec(html)) !== null) {
+        if (pattern.test(match[1])) return true;
+    }
+    return false;
+};
+
+const pathOf = (url) => {
+    try {
+        return new URL(url).pathname.toLowerCase();
+    } catch {
+        return String(url).toLowerCase();
+    }
+};
+
+/**
+ * Classify a page the way the crawler does: FAQ content wins, then local
+ * business info, then anything article-like.
+ */
+export const classifyPageType = ({ url, types, hasFaq }) => {
+    const path = pathOf(url);
+    if (hasFaq) return 'FAQ';
+    if (types.includes('LocalBusiness')) return 'LocalBusiness/Info';
+    if (types.some(t => ARTICLE_TYPES.includes(t)) || /^\/(blog|news|how-to)(\/|$)/.test(path)) {
+        return 'Blog/Article';
+    }
+    return 'Other';
+};
+
+/**
+ * Recommend schemas a page is missing for its page type.
+ * Returns entries as { schema, priority }.
+ */
+export const recommendSchemas = ({ pageType, types }) => {
+    const recommendations = [];
+    if (pageType === 'Blog/Article' && !types.some(t => ARTICLE_TYPES.includes(t))) {
+        recommendations.push({ schema: 'Article', priority: 'High' });
+    }
+    if (pageType === 'FAQ' && !types.includes('FAQPage')) {
+        recommendations.push({ schema: 'FAQPage', priority: 'Medium' });
+    }
+    if (!types.includes('Organization')) {
+        recommendations.push({ schema: 'Organization', priority: 'Low' });
+    }
+    return recommendations;
+};
+
+/**
+ * Analyze one page and return its row in the efax_analysis.csv schema.
+ *
+ * - schema_types_found: every distinct type from JSON-LD and microdata in document
+ *   order, including @graph members and nested entities
+ * - schema_count: number of distinct types
+ * - primary_schema_type: first type from PRIMARY_TYPE_PRIORITY present, else the
+ *   first type found, else "None"
+ * - has_faq: FAQPage markup, or an element whose id/class mentions "faq"
+ * - has_reviews: Review/AggregateRating markup or review/aggregateRating properties,
+ *   or an element whose id/class mentions reviews or testimonials
+ * - has_product_data: Product, Offer or AggregateOffer markup
+ * - schema_completeness_score, missing_required_properties, validation_errors:
+ *   see validatePage in validator.js; unparseable JSON-LD blocks also count as
+ *   validation errors
+ */
+export const analyzePage = ({ url, statusCode = 200, html = '', jsRendered = false }) => {
+    const { blocks, errors } = extractJsonLd(html);
+    const entities = [
+        ...collectEntities(blocks, 'json-ld'),
+        ...collectEntities(extractMicrodata(html), 'microdata')
+    ];
+
+    const types = [];
+    entities.forEach(entity => {
+        entity.types.forEach(t => {
+            if (!types.includes(t)) types.push(t);
+        });
+    });
+
+    const primaryType = PRIMARY_TYPE_PRIORITY.find(t => types.includes(t)) || types[0] || 'None';
+    const hasFaq = types.includes('FAQPage') || hasMarker(html, /faq/i);
+    const hasReviews = types.some(t => REVIEW_TYPES.includes(t))
+        || entities.some(e => e.data.review !== undefined || e.data.aggregateRating !== undefined)
+        || hasMarker(html, /review|testimonial/i);
+    const pageType = statusCode === 200 ? classifyPageType({ url, types, hasFaq }) : 'Unknown';
+    const recommendations = statusCode === 200 ? recommendSchemas({ pageType, types }) : [];
+    const validation = validatePage(entities, { parseErrors: errors });
+
+    return {
+        url,
+        status_code: statusCode,
+        js_rendered: jsRendered,
+        page_type: pageType,
+        schema_types_found: types.join(', '),
+        schema_count: types.length,
+        primary_schema_type: primaryType,
+        schema_completeness_score: validation.score,
+        missing_required_properties: validation.missing_required_properties,
+        validation_errors: validation.validation_errors,
+        has_faq: hasFaq,
+        has_reviews: hasReviews,
+        has_product_data: types.some(t => PRODUCT_TYPES.includes(t)),
+        recommended_schemas: recommendations.map(r => r.schema).join(', '),
+        recommendation_priority: recommendations.map(r => `${r.schema}(${r.priority})`).join(', ')
+    };
+};
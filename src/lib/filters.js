@@ -0,0 +1,174 @@
+/**
+ * Faceted filtering and sorting for the analysis table.
+ *
+ * Facets combine with AND. Within the schema type facet the selected types are
+ * combined with the chosen mode: any (at least one), all, or none.
+ */
+import { splitList, parseRecommendations } from './dataset.js';
+import { rowIssues } from './validator.js';
+
+export const FLAG_FACETS = [
+    { key: 'hasFaq', column: 'has_faq', label: 'FAQ' },
+    { key: 'hasReviews', column: 'has_reviews', label: 'Reviews' },
+    { key: 'hasProductData', column: 'has_product_data', label: 'Product data' },
+    { key: 'jsRendered', column: 'js_rendered', label: 'JS rendered' }
+];
+
+export const DEFAULT_FACETS = {
+    schemaTypes: [],
+    schemaTypeMode: 'any',
+    pageTypes: [],
+    primaryTypes: [],
+    // null means "don't care", otherwise true/false
+    hasFaq: null,
+    hasReviews: null,
+    hasProductData: null,
+    jsRendered: null,
+    scoreMin: 0,
+    scoreMax: 100,
+    // null, 'with' or 'without'
+    errors: null
+};
+
+const IGNORED_TYPES = ['Unspecified', 'Unknown'];
+
+// The accessors below use the arrays indexRows() pre-parses (src/lib/aggregate.js)
+// and fall back to parsing the raw columns for plain rows
+
+export const schemaTypesOf = (row) => row.schemaTypes
+    || splitList(row.schema_types_found).filter(t => !IGNORED_TYPES.includes(t));
+
+export const recommendedSchemasOf = (row) => row.recommendedSchemas || splitList(row.recommended_schemas);
+
+export const recommendationsOf = (row) => row.recommendations || parseRecommendations(row.recommendation_priority);
+
+export const errorCountOf = (row) => row.errorCount ?? rowIssues(row).errorCount;
+
+const hasErrors = (row) => errorCountOf(row) > 0;
+
+// One predicate per facet so counts can be computed with a facet left out
+const FACET_PREDICATES = {
+    schemaTypes: (row, facets) => {
+        if (facets.schemaTypes.length === 0) return true;
+        const types = schemaTypesOf(row);
+        switch (facets.schemaTypeMode) {
+            case 'all':
+                return facets.schemaTypes.every(t => types.includes(t));
+            case 'none':
+                return !facets.schemaTypes.some(t => types.includes(t));
+            default:
+                return facets.schemaTypes.some(t => types.includes(t));
+        }
+    },
+    pageTypes: (row, facets) => facets.pageTypes.length === 0 || facets.pageTypes.includes(row.page_type),
+    primaryTypes: (row, facets) => facets.primaryTypes.length === 0 || facets.primaryTypes.includes(row.primary_schema_type),
+    ...Object.fromEntries(FLAG_FACETS.map(({ key, column }) => [
+        key,
+        (row, facets) => facets[key] === null || Boolean(row[column]) === facets[key]
+    ])),
+    score: (row, facets) => {
+        const score = row.schema_completeness_score || 0;
+        return score >= facets.scoreMin && score <= facets.scoreMax;
+    },
+    errors: (row, facets) => facets.errors === null || hasErrors(row) === (facets.errors === 'with')
+};
+
+const PREDICATE_ENTRIES = Object.entries(FACET_PREDICATES);
+
+/**
+ * Does a row pass every facet, optionally ignoring one of them.
+ */
+export const matchesFacets = (row, facets, except = null) => PREDICATE_ENTRIES
+    .every(([name, predicate]) => name === except || predicate(row, facets));
+
+/**
+ * Number of facets that narrow the result set.
+ */
+export const activeFacetCount = (facets) => {
+    let count = 0;
+    if (facets.schemaTypes.length > 0) count++;
+    if (facets.pageTypes.length > 0) count++;
+    if (facets.primaryTypes.length > 0) count++;
+    FLAG_FACETS.forEach(({ key }) => {
+        if (facets[key] !== null) count++;
+    });
+    if (facets.scoreMin > 0 || facets.scoreMax < 100) count++;
+    if (facets.errors !== null) count++;
+    return count;
+};
+
+const increment = (counts, value) => {
+    counts[value] = (counts[value] || 0) + 1;
+};
+
+/**
+ * Live counts for every facet value. Each facet is counted against the rows
+ * that pass all the other facets, so counts show what selecting a value would yield.
+ *
+ * For the schema type facet the count is the number of pages carrying the type.
+ */
+export const facetCounts = (rows, facets) => {
+    const counts = {
+        schemaTypes: {},
+        pageTypes: {},
+        primaryTypes: {},
+        flags: Object.fromEntries(FLAG_FACETS.map(({ key }) => [key, { true: 0, false: 0 }])),
+        score: 0,
+        errors: { with: 0, without: 0 }
+    };
+
+    // A row counts towards a facet when it fails no other facet, so one pass
+    // finding the failed facets of each row is enough
+    rows.forEach(row => {
+        let failed = null;
+        for (const [name, predicate] of PREDICATE_ENTRIES) {
+            if (!predicate(row, facets)) {
+                if (failed) return;
+                failed = name;
+            }
+        }
+        const countsFor = (name) => failed === null || failed === name;
+
+        if (countsFor('schemaTypes')) schemaTypesOf(row).forEach(type => increment(counts.schemaTypes, type));
+        if (countsFor('pageTypes')) increment(counts.pageTypes, row.page_type);
+        if (countsFor('primaryTypes')) increment(counts.primaryTypes, row.primary_schema_type);
+        FLAG_FACETS.forEach(({ key, column }) => {
+            if (countsFor(key)) counts.flags[key][row[column] ? 'true' : 'false']++;
+        });
+        if (failed === null) counts.score++;
+        if (countsFor('errors')) counts.errors[hasErrors(row) ? 'with' : 'without']++;
+    });
+
+    return counts;
+};
+
+// Value each sortable column sorts by
+export const SORT_ACCESSORS = {
+    url: row => row.url,
+    page_type: row => row.page_type || '',
+    schema_types_found: row => schemaTypesOf(row).length,
+    recommended_schemas: row => recommendedSchemasOf(row).length,
+    schema_completeness_score: row => row.schema_completeness_score || 0,
+    validation_errors: errorCountOf
+};
+
+/**
+ * Sort rows by a column ({ key, dir: 'asc' | 'desc' }). Ties keep their original order.
+ */
+export const sortRows = (rows, sort) => {
+    const accessor = sort && SORT_ACCESSORS[sort.key];
+    if (!accessor) return rows;
+    const direction = sort.dir === 'desc' ? -1 : 1;
+    return rows
+        .map((row, index) => ({ row, index, value: accessor(row) }))
+        .sort((a, b) => {
+            let result;
+            if (typeof a.value === 'string') {
+                result = a.value.localeCompare(b.value);
+            } else {
+                result = a.value - b.value;
+            }
+            return result * direction || a.index - b.index;
+        })
+        .map(({ row }) => row);
+};
@@ -0,0 +1,201 @@
+/**
+ * JSON-LD skeletons for recommended schemas.
+ *
+ * Required properties come from the validator's rule sets. Whatever the audit
+ * already knows (page URL, breadcrumb trail, site Organization) is filled in; every
+ * other required property gets a REQUIRED_MARKER placeholder so it stands out
+ * in review and fails validation until it is replaced. Recommended properties
+ * worth adding get a RECOMMENDED_MARKER instead. Schemas the validator has no
+ * rule set for only get a name placeholder and a pointer to their schema.org
+ * definition.
+ */
+import { RULE_SETS } from './validator.js';
+import { splitList } from './dataset.js';
+
+export const REQUIRED_MARKER = '[REQUIRED]';
+
+export const RECOMMENDED_MARKER = '[RECOMMENDED]';
+
+export const DEFAULT_SITE = {
+    name: 'eFax',
+    url: 'https://www.efax.com',
+    logo: ''
+};
+
+const placeholder = (expected) => `${REQUIRED_MARKER} ${expected.join(' or ')}`;
+
+const suggestion = (expected) => `${RECOMMENDED_MARKER} ${expected.join(' or ')}`;
+
+const originOf = (url, fallback) => {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return fallback;
+    }
+};
+
+/**
+ * Publisher details for a page: DEFAULT_SITE for pages on its origin, for
+ * other domains only the origin, leaving the name to fill in.
+ */
+export const siteFor = (pageUrl) => originOf(pageUrl, null) === originOf(DEFAULT_SITE.url, null)
+    ? DEFAULT_SITE
+    : { name: '', url: originOf(pageUrl, ''), logo: '' };
+
+const organizationNode = (site, pageUrl) => {
+    const node = {
+        '@type': 'Organization',
+        name: site.name || placeholder(['Text']),
+        url: site.url || originOf(pageUrl, placeholder(['URL']))
+    };
+    if (site.logo) node.logo = site.logo;
+    return node;
+};
+
+// Pre-filled values per schema, on top of the rule set's required properties
+const PREFILLS = {
+    Article: (row, site) => ({
+        mainEntityOfPage: { '@type': 'WebPage', '@id': row.url },
+        publisher: organizationNode(site, row.url),
+        // A Person byline is the common case, only the name is left to fill
+        author: { '@type': 'Person', name: placeholder(['Text']) }
+    }),
+    FAQPage: (row) => ({
+        url: row.url,
+        mainEntity: [
+            {
+                '@type': 'Question',
+                name: placeholder(['Text']),
+                acceptedAnswer: {
+                    '@type': 'Answer',
+                    text: placeholder(['Text'])
+                }
+            }
+        ]
+    }),
+    Organization: (row, site) => {
+        const { name, url, logo } = organizationNode(site, row.url);
+        return logo ? { name, url, logo } : { name, url, logo: suggestion(RULE_SETS.Organization.recommended.logo) };
+    },
+    WebPage: (row) => ({
+        url: row.url
+    }),
+    BreadcrumbList: (row) => ({
+        itemListElement: breadcrumbItems(row.url)
+    })
+};
+
+// Breadcrumb trail from the URL path: /industry/retail -> Home > Industry > Retail
+const breadcrumbItems = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return [{ '@type': 'ListItem', position: 1, name: placeholder(['Text']), item: url }];
+    }
+    const segments = parsed.pathname.split('/').filter(Boolean);
+    const items = [{ '@type': 'ListItem', position: 1, name: 'Home', item: `${parsed.origin}/` }];
+    segments.forEach((segment, i) => {
+        items.push({
+            '@type': 'ListItem',
+            position: i + 2,
+            name: segment.replace(/[-_]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase()),
+            item: `${parsed.origin}/${segments.slice(0, i + 1).join('/')}`
+        });
+    });
+    return items;
+};
+
+/**
+ * List the JSON paths of every placeholder with `marker` still to be filled
+ * in, required ones by default.
+ */
+export const findPlaceholders = (node, marker = REQUIRED_MARKER, path = '') => {
+    if (typeof node === 'string') {
+        return node.startsWith(marker) ? [path] : [];
+    }
+    if (Array.isArray(node)) {
+        return node.flatMap((item, i) => findPlaceholders(item, marker, `${path}[${i}]`));
+    }
+    if (node && typeof node === 'object') {
+        return Object.entries(node).flatMap(([key, value]) => findPlaceholders(value, marker, path ? `${path}.${key}` : key));
+    }
+    return [];
+};
+
+/**
+ * Build the JSON-LD skeleton of one schema for a page. Returns { schema,
+ * jsonLd, placeholders, suggestions, reference }: the paths of required and
+ * recommended placeholders, and for schemas without a rule set the
+ * schema.org page listing their properties (null otherwise).
+ */
+export const generateJsonLd = (row, schema, site = siteFor(row.url)) => {
+    const rules = RULE_SETS[schema];
+    const jsonLd = { '@context': 'https://schema.org', '@type': schema };
+
+    if (rules) {
+        Object.entries(rules.required).forEach(([property, expected]) => {
+            jsonLd[property] = placeholder(expected);
+        });
+    }
+    if (PREFILLS[schema]) {
+        Object.assign(jsonLd, PREFILLS[schema](row, site));
+    }
+    if (!rules && !PREFILLS[schema]) {
+        jsonLd.name = placeholder(['Text']);
+        jsonLd.url = row.url;
+    }
+
+    return {
+        schema,
+        jsonLd,
+        placeholders: findPlaceholders(jsonLd),
+        suggestions: findPlaceholders(jsonLd, RECOMMENDED_MARKER),
+        reference: rules ? null : `https://schema.org/${encodeURIComponent(schema)}`
+    };
+};
+
+/**
+ * Skeletons for every entry in a row's recommended_schemas.
+ */
+export const generateForRow = (row, site) =>
+    splitList(row.recommended_schemas).map(schema => generateJsonLd(row, schema, site));
+
+/**
+ * Wrap JSON-LD in the script tag that goes into the page head.
+ */
+export const toScriptTag = (jsonLd) =>
+    `<script type="application/ld+json">\n${JSON.stringify(jsonLd, null, 2)}\n</script>`;
+
+/**
+ * File name for a page's export: the URL path with slashes turned into "__".
+ */
+export const fileNameForUrl = (url, extension = 'json') => {
+    let path;
+    try {
+        path = new URL(url).pathname;
+    } catch {
+        path = url;
+    }
+    const slug = path.replace(/^\/+|\/+$/g, '').replace(/\//g, '__').replace(/[^\w.-]+/g, '-');
+    return `${slug || 'index'}.${extension}`;
+};
+
+/**
+ * One JSON-LD file per page for a bulk export. Names that collide (e.g. the
+ * same path with different query strings) get a numeric suffix.
+ */
+export const bulkExportFiles = (rows, schema, site) => {
+    const used = new Set();
+    return rows.map(row => {
+        let name = fileNameForUrl(row.url);
+        for (let i = 2; used.has(name); i++) {
+            name = fileNameForUrl(row.url, `${i}.json`);
+        }
+        used.add(name);
+        return {
+            name,
+            content: JSON.stringify(generateJsonLd(row, schema, site).jsonLd, null, 2) + '\n'
+        };
+    });
+};
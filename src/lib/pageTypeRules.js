@@ -0,0 +1,201 @@
+/**
+ * Page type classification. The crawler leaves most pages as "Other", so the
+ * dashboard proposes a refined page_type from URL paths and schema types with
+ * an editable rule set:
+ *
+ *   {
+ *     "version": 1,
+ *     "rules": [{
+ *       "id": "pricing-pages",
+ *       "description": "Plans and rates",
+ *       "enabled": true,
+ *       "when": {
+ *         "pageTypes": ["Other", "Uncategorized"],   page_type the crawler gave
+ *         "urlPattern": "^/pricing(/|$)"
+ *       },
+ *       "pageType": "Pricing"
+ *     }]
+ *   }
+ *
+ * Conditions are those of the recommendation rules (src/lib/recommendationRules.js).
+ * The first enabled rule that matches a page decides its type. Proposals only
+ * take effect once accepted; accepted types are kept per URL and applied to a
+ * dataset before its recommendations are recomputed.
+ */
+import { datasetFromCrawl } from './dataset.js';
+import { schemaTypesOf } from './filters.js';
+import { conditionProblems, compileConditions } from './recommendationRules.js';
+import { DefinitionError, validateDefinition, parseDefinition } from './definitions.js';
+
+export const CLASSIFIER_VERSION = 1;
+
+export const PAGE_TYPES_EXPORT_VERSION = 1;
+
+const UNCLASSIFIED = ['Other', 'Uncategorized'];
+
+const pathRule = (id, description, pattern, pageType) => ({
+    id,
+    description,
+    enabled: true,
+    when: { pageTypes: UNCLASSIFIED, urlPattern: `^/(${pattern})(/|$)` },
+    pageType
+});
+
+const schemaRule = (id, description, schemaType, pageType) => ({
+    id,
+    description,
+    enabled: true,
+    when: { pageTypes: UNCLASSIFIED, schemaTypesPresent: [schemaType] },
+    pageType
+});
+
+export const DEFAULT_CLASSIFIER = {
+    version: CLASSIFIER_VERSION,
+    rules: [
+        pathRule('blog-paths', 'Blog posts', 'blog', 'Blog/Article'),
+        pathRule('news-paths', 'News, press and events', 'news|news-and-events|events|press', 'News'),
+        pathRule('how-to-paths', 'How-to guides', 'how-to|guides?', 'How-To'),
+        pathRule('pricing-paths', 'Plans, rates and quotes', 'pricing|plans|international-fax-rates|request-a-quote', 'Pricing'),
+        pathRule('industry-paths', 'Industry landing pages', 'industry|industries|solutions', 'Industry'),
+        pathRule('feature-paths', 'Feature pages', 'features|how-it-works', 'Feature'),
+        pathRule('support-paths', 'Help center and support', 'support|help|efax-help-center|faxdocument', 'Support'),
+        pathRule('partner-paths', 'Partner and affiliate programs', 'partners|affiliate', 'Partner'),
+        pathRule('product-paths', 'Products and product brands', 'products?|fax|free-fax|rapidfax|smartfax|trustfax|jconnect|send2fax', 'Product'),
+        pathRule('review-paths', 'Customer reviews', 'reviews|all-reviews', 'Reviews'),
+        pathRule('legal-paths', 'Legal and compliance', 'legal|privacy|terms|hipaa-compliance', 'Legal'),
+        schemaRule('how-to-markup', 'Pages with HowTo markup', 'HowTo', 'How-To'),
+        schemaRule('product-markup', 'Pages with Product markup', 'Product', 'Product'),
+        schemaRule('faq-markup', 'Pages with FAQPage markup', 'FAQPage', 'FAQ')
+    ]
+};
+
+export class ClassifierError extends DefinitionError {}
+
+const ruleProblems = (rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['is not an object'];
+    const problems = [];
+    if (typeof rule.id !== 'string' || !rule.id.trim()) problems.push('needs an "id"');
+    if (typeof rule.pageType !== 'string' || !rule.pageType.trim()) problems.push('needs a "pageType"');
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') problems.push('"enabled" must be true or false');
+    return [...problems, ...conditionProblems(rule.when)];
+};
+
+/**
+ * Check a parsed classifier. Throws a ClassifierError listing every problem as
+ * { line, message } where `line` is the rule's 1-based position.
+ */
+export const validateClassifier = (classifier) => validateDefinition(classifier, {
+    noun: 'classifier',
+    version: CLASSIFIER_VERSION,
+    listKey: 'rules',
+    itemProblems: ruleProblems,
+    ErrorType: ClassifierError
+});
+
+/**
+ * Parse and validate classifier JSON.
+ */
+export const parseClassifier = (text) => parseDefinition(text, validateClassifier, ClassifierError);
+
+/**
+ * Build a function returning { pageType, ruleId } of the first rule matching
+ * a row, or null when none does.
+ */
+export const compileClassifier = (classifier) => {
+    const rules = classifier.rules
+        .filter(rule => rule.enabled !== false)
+        .map(rule => ({ rule, matches: compileConditions(rule.when) }));
+    return (row) => {
+        const types = schemaTypesOf(row);
+        const found = rules.find(({ matches }) => matches(row, types));
+        return found ? { pageType: found.rule.pageType, ruleId: found.rule.id } : null;
+    };
+};
+
+/**
+ * Reclassifications the rules propose for rows, as [{ url, original,
+ * proposed, ruleId }]. Rows already of the proposed type are left out, and so
+ * are rows whose type was accepted before (`accepted`, a URL to page type map).
+ */
+export const proposePageTypes = (rows, classifier, accepted = {}) => {
+    const classify = compileClassifier(classifier);
+    return rows.reduce((acc, row) => {
+        if (row.url in accepted) return acc;
+        const match = classify(row);
+        if (match && match.pageType !== row.page_type) {
+            acc.push({ url: row.url, original: row.page_type, proposed: match.pageType, ruleId: match.ruleId });
+        }
+        return acc;
+    }, []);
+};
+
+/**
+ * Pages each rule proposes a new type for, by rule id.
+ */
+export const proposalCounts = (proposals) => {
+    const counts = {};
+    proposals.forEach(({ ruleId }) => {
+        counts[ruleId] = (counts[ruleId] || 0) + 1;
+    });
+    return counts;
+};
+
+/**
+ * Crawl rows with the accepted page types (URL to page type) applied. Rows
+ * that change keep the crawler's type in `original_page_type`.
+ */
+export const reclassifyCrawl = (crawl, accepted) => {
+    if (Object.keys(accepted).length === 0) return crawl;
+    return crawl.map(row => {
+        const pageType = accepted[row.url];
+        return pageType && pageType !== row.page_type
+            ? { ...row, page_type: pageType, original_page_type: row.page_type }
+            : row;
+    });
+};
+
+/**
+ * Accepted reclassifications among rows, as [{ url, original, pageType }].
+ */
+export const acceptedChanges = (rows, accepted) => rows
+    .filter(row => row.url in accepted)
+    .map(row => ({ url: row.url, original: row.page_type, pageType: accepted[row.url] }));
+
+/**
+ * A dataset with the accepted page types applied, see reclassifyCrawl.
+ */
+export const applyPageTypes = (dataset, accepted) => {
+    if (Object.keys(accepted).length === 0) return dataset;
+    return { ...dataset, ...datasetFromCrawl(reclassifyCrawl(dataset.crawl, accepted)) };
+};
+
+/**
+ * Serialize accepted page types for sharing or for the quality gate.
+ */
+export const exportPageTypes = (accepted, now = new Date().toISOString()) => JSON.stringify({
+    version: PAGE_TYPES_EXPORT_VERSION,
+    exportedAt: now,
+    pageTypes: accepted
+}, null, 2);
+
+/**
+ * Parse exported page types into a URL to page type map. Throws when the
+ * file isn't an export.
+ */
+export const parsePageTypesExport = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not valid JSON: ${err.message}`);
+    }
+    const pageTypes = parsed && parsed.pageTypes;
+    if (!parsed || parsed.version !== PAGE_TYPES_EXPORT_VERSION || !pageTypes || typeof pageTypes !== 'object' || Array.isArray(pageTypes)) {
+        throw new Error('Not a page types export');
+    }
+    const invalid = Object.values(pageTypes).filter(value => typeof value !== 'string' || !value.trim()).length;
+    if (invalid > 0) {
+        throw new Error(`${invalid} page type${invalid > 1 ? 's are' : ' is'} empty or not text`);
+    }
+    return pageTypes;
+};
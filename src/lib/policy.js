@@ -0,0 +1,215 @@
+/**
+ * Quality gate policies, checked against a dataset by scripts/quality-gate.js
+ * so a release pipeline can fail when structured data regresses:
+ *
+ *   {
+ *     "version": 1,
+ *     "checks": [{
+ *       "id": "blog-completeness",
+ *       "description": "Blog posts stay reasonably complete",
+ *       "type": "minAverageScore",         see CHECK_TYPES
+ *       "pageTypes": ["Blog/Article"],     only pages of these types
+ *       "section": "/blog",                only pages under this URL path
+ *       "min": 70
+ *     }]
+ *   }
+ *
+ * Check types and their settings:
+ * - minAverageScore     `min`: lowest acceptable average schema_completeness_score
+ * - maxValidationErrors `max`: most validation errors allowed across the pages
+ * - maxRecommendations  `max`, optional `priority`: most open recommendations allowed
+ * - requiredTypes       `types`: schema types every page must carry
+ *
+ * A check whose page types and section match no page fails: a scope that
+ * went stale would otherwise pass forever. Numbers come from the same helpers
+ * the dashboard aggregates with, so a gate and the dashboard always agree.
+ */
+import { summaryStats } from './aggregate.js';
+import { schemaTypesOf, errorCountOf } from './filters.js';
+import { inSection } from './sections.js';
+import { collectIssues } from './remediation.js';
+import { PRIORITIES } from './recommendationRules.js';
+import { DefinitionError, isStringList, validateDefinition, parseDefinition } from './definitions.js';
+
+export const POLICY_VERSION = 1;
+
+export const CHECK_TYPES = ['minAverageScore', 'maxValidationErrors', 'maxRecommendations', 'requiredTypes'];
+
+const SCOPE_KEYS = ['id', 'description', 'type', 'pageTypes', 'section'];
+
+const SETTINGS = {
+    minAverageScore: ['min'],
+    maxValidationErrors: ['max'],
+    maxRecommendations: ['max', 'priority'],
+    requiredTypes: ['types']
+};
+
+export class PolicyError extends DefinitionError {}
+
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+const checkProblems = (check) => {
+    if (!check || typeof check !== 'object' || Array.isArray(check)) return ['is not an object'];
+    const problems = [];
+    if (typeof check.id !== 'string' || !check.id.trim()) problems.push('needs an "id"');
+    if (!CHECK_TYPES.includes(check.type)) {
+        return [...problems, `"type" must be one of ${CHECK_TYPES.join(', ')}`];
+    }
+    if (check.pageTypes !== undefined && !isStringList(check.pageTypes)) problems.push('"pageTypes" must be a list of strings');
+    if (check.section !== undefined && (typeof check.section !== 'string' || !check.section.startsWith('/'))) {
+        problems.push('"section" must be a URL path starting with "/"');
+    }
+
+    switch (check.type) {
+        case 'minAverageScore':
+            if (typeof check.min !== 'number' || check.min < 0 || check.min > 100) problems.push('"min" must be a score from 0 to 100');
+            break;
+        case 'maxValidationErrors':
+            if (!isCount(check.max)) problems.push('"max" must be a whole number of 0 or more');
+            break;
+        case 'maxRecommendations':
+            if (!isCount(check.max)) problems.push('"max" must be a whole number of 0 or more');
+            if (check.priority !== undefined && !PRIORITIES.includes(check.priority)) {
+                problems.push(`"priority" must be one of ${PRIORITIES.join(', ')}`);
+            }
+            break;
+        default:
+            if (!isStringList(check.types) || check.types.length === 0) problems.push('"types" must be a non-empty list of schema types');
+    }
+
+    Object.keys(check)
+        .filter(key => !SCOPE_KEYS.includes(key) && !SETTINGS[check.type].includes(key))
+        .forEach(key => problems.push(`unknown setting "${key}" for ${check.type}`));
+    return problems;
+};
+
+/**
+ * Check a parsed policy. Throws a PolicyError listing every problem as
+ * { line, message } where `line` is the check's 1-based position.
+ */
+export const validatePolicy = (policy) => validateDefinition(policy, {
+    noun: 'policy',
+    version: POLICY_VERSION,
+    listKey: 'checks',
+    itemProblems: checkProblems,
+    ErrorType: PolicyError
+});
+
+/**
+ * Parse and validate policy JSON.
+ */
+export const parsePolicy = (text) => parseDefinition(text, validatePolicy, PolicyError);
+
+const inScope = (check) => (row) => (!check.pageTypes || check.pageTypes.includes(row.page_type))
+    && inSection(row.url, check.section);
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+// Each evaluator returns { actual, passed, violations: [{ url, message }] }
+const EVALUATORS = {
+    minAverageScore: (check, rows) => {
+        const actual = Math.round(summaryStats(rows).avgScore * 10) / 10;
+        const passed = actual >= check.min;
+        return {
+            actual,
+            passed,
+            summary: `average completeness ${actual}%, minimum ${check.min}%`,
+            violations: passed ? [] : rows
+                .filter(row => (row.schema_completeness_score || 0) < check.min)
+                .map(row => ({ url: row.url, message: `completeness ${row.schema_completeness_score || 0}%` }))
+        };
+    },
+    maxValidationErrors: (check, rows) => {
+        const withErrors = rows.filter(row => errorCountOf(row) > 0);
+        const actual = withErrors.reduce((acc, row) => acc + errorCountOf(row), 0);
+        const passed = actual <= check.max;
+        return {
+            actual,
+            passed,
+            summary: `${plural(actual, 'validation error')}, at most ${check.max} allowed`,
+            violations: passed ? [] : withErrors.map(row => ({ url: row.url, message: plural(errorCountOf(row), 'validation error') }))
+        };
+    },
+    maxRecommendations: (check, rows, { closedIssues }) => {
+        const open = collectIssues(rows).filter(issue => issue.kind === 'recommendation'
+            && (!check.priority || issue.priority === check.priority)
+            && !closedIssues.has(issue.key));
+        const passed = open.length <= check.max;
+        const label = check.priority ? `open ${check.priority} priority recommendation` : 'open recommendation';
+        return {
+            actual: open.length,
+            passed,
+            summary: `${plural(open.length, label)}, at most ${check.max} allowed`,
+            violations: passed ? [] : open.map(issue => ({ url: issue.url, message: `add ${issue.issue} (${issue.priority})` }))
+        };
+    },
+    requiredTypes: (check, rows) => {
+        const violations = rows.reduce((acc, row) => {
+            const types = schemaTypesOf(row);
+            const missing = check.types.filter(type => !types.includes(type));
+            if (missing.length > 0) acc.push({ url: row.url, message: `missing ${missing.join(', ')}` });
+            return acc;
+        }, []);
+        return {
+            actual: violations.length,
+            passed: violations.length === 0,
+            summary: `${plural(violations.length, 'page')} without ${check.types.join(', ')}`,
+            violations
+        };
+    }
+};
+
+/**
+ * Run every check of a policy over a dataset's status 200 rows. Returns one
+ * result per check: { id, description, type, pages, actual, passed, summary,
+ * violations }; `actual` is null for a check that matched no pages.
+ * `closedIssues` holds remediation keys of recommendations the tracker marked
+ * fixed or won't fix; they don't count as open.
+ */
+export const evaluatePolicy = (rows, policy, { closedIssues = new Set() } = {}) => {
+    return policy.checks.map(check => {
+        const scoped = rows.filter(inScope(check));
+        const outcome = scoped.length > 0
+            ? EVALUATORS[check.type](check, scoped, { closedIssues })
+            : { actual: null, passed: false, summary: 'no pages match the check\'s page types and section', violations: [] };
+        return {
+            id: check.id,
+            description: check.description || '',
+            type: check.type,
+            pages: scoped.length,
+            ...outcome
+        };
+    });
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Results as a JUnit XML report, one test case per check.
+ */
+export const toJUnit = (results, suiteName = 'schema-quality-gate') => {
+    const failures = results.filter(result => !result.passed).length;
+    const cases = results.map(result => {
+        const open = `    <testcase classname="${escapeXml(suiteName)}" name="${escapeXml(result.id)}">`;
+        if (result.passed) return `${open}</testcase>`;
+        const details = result.violations.map(violation => `${violation.url}: ${violation.message}`).join('\n');
+        return [
+            open,
+            `      <failure message="${escapeXml(result.summary)}" type="${escapeXml(result.type)}">${escapeXml(details)}</failure>`,
+            '    </testcase>'
+        ].join('\n');
+    });
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites tests="${results.length}" failures="${failures}">`,
+        `  <testsuite name="${escapeXml(suiteName)}" tests="${results.length}" failures="${failures}">`,
+        ...cases,
+        '  </testsuite>',
+        '</testsuites>',
+        ''
+    ].join('\n');
+};
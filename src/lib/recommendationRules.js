@@ -0,0 +1,221 @@
+/**
+ * Recommendation rules. Instead of taking recommended_schemas and
+ * recommendation_priority as the crawler baked them, the dashboard recomputes
+ * both columns from an editable rule set:
+ *
+ *   {
+ *     "version": 1,
+ *     "rules": [{
+ *       "id": "article-on-blog-pages",
+ *       "description": "Blog posts should carry Article",
+ *       "enabled": true,
+ *       "when": {
+ *         "pageTypes": ["Blog/Article"],      page_type is one of these
+ *         "urlPattern": "^/blog/",            regular expression tested against the URL path
+ *         "schemaTypesPresent": ["WebPage"],  page carries all of these
+ *         "schemaTypesAbsent": ["Article"],   page carries none of these
+ *         "flags": { "has_faq": true }        has_faq, has_reviews, has_product_data, js_rendered
+ *       },
+ *       "recommend": "Article",
+ *       "priority": "High"
+ *     }]
+ *   }
+ *
+ * Every condition is optional and they combine with AND. When several rules
+ * recommend the same schema for a page, the first one in the list wins.
+ *
+ * `urlPattern` is case-sensitive and only sees the path: no domain, query
+ * string or fragment, and no trailing slash ("/" for the home page), so
+ * "^/blog/" matches https://example.com/blog/post?page=2 but not /blog itself
+ * or /Blog/post.
+ */
+import { isReachable, datasetFromCrawl } from './dataset.js';
+import { schemaTypesOf } from './filters.js';
+import { pathOf } from './sections.js';
+import { DefinitionError, isStringList, validateDefinition, parseDefinition } from './definitions.js';
+
+export const RULE_SET_VERSION = 1;
+
+export const PRIORITIES = ['High', 'Medium', 'Low'];
+
+export const RULE_FLAGS = ['has_faq', 'has_reviews', 'has_product_data', 'js_rendered'];
+
+// Reproduces the recommendations of the original crawler export
+export const DEFAULT_RULE_SET = {
+    version: RULE_SET_VERSION,
+    rules: [
+        {
+            id: 'article-on-blog-pages',
+            description: 'Blog and article pages without Article markup',
+            enabled: true,
+            when: { pageTypes: ['Blog/Article'], schemaTypesAbsent: ['Article'] },
+            recommend: 'Article',
+            priority: 'High'
+        },
+        {
+            id: 'faqpage-on-faq-content',
+            description: 'Pages with FAQ content but no FAQPage markup',
+            enabled: true,
+            when: { flags: { has_faq: true }, schemaTypesAbsent: ['FAQPage'] },
+            recommend: 'FAQPage',
+            priority: 'Medium'
+        },
+        {
+            id: 'organization-everywhere',
+            description: 'Pages that don\'t identify the publisher',
+            enabled: true,
+            when: { schemaTypesAbsent: ['Organization'] },
+            recommend: 'Organization',
+            priority: 'Low'
+        }
+    ]
+};
+
+export class RuleSetError extends DefinitionError {}
+
+const CONDITION_KEYS = ['pageTypes', 'urlPattern', 'schemaTypesPresent', 'schemaTypesAbsent', 'flags'];
+
+/**
+ * Problems with the `when` conditions of a rule, as messages. Page type rules
+ * (src/lib/pageTypeRules.js) share the condition format.
+ */
+export const conditionProblems = (when = {}) => {
+    if (!when || typeof when !== 'object' || Array.isArray(when)) return ['"when" must be an object'];
+    const problems = [];
+    ['pageTypes', 'schemaTypesPresent', 'schemaTypesAbsent'].forEach(key => {
+        if (when[key] !== undefined && !isStringList(when[key])) problems.push(`"when.${key}" must be a list of strings`);
+    });
+    if (when.urlPattern !== undefined) {
+        try {
+            new RegExp(when.urlPattern);
+        } catch (err) {
+            problems.push(`"when.urlPattern" is not a valid regular expression: ${err.message}`);
+        }
+    }
+    if (when.flags !== undefined) {
+        if (!when.flags || typeof when.flags !== 'object' || Array.isArray(when.flags)) {
+            problems.push('"when.flags" must be an object');
+        } else {
+            Object.entries(when.flags).forEach(([flag, value]) => {
+                if (!RULE_FLAGS.includes(flag)) problems.push(`unknown flag "${flag}", use ${RULE_FLAGS.join(', ')}`);
+                else if (typeof value !== 'boolean') problems.push(`flag "${flag}" must be true or false`);
+            });
+        }
+    }
+    const unknown = Object.keys(when).filter(key => !CONDITION_KEYS.includes(key));
+    unknown.forEach(key => problems.push(`unknown condition "when.${key}"`));
+    return problems;
+};
+
+const ruleProblems = (rule) => {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) return ['is not an object'];
+    const problems = [];
+    if (typeof rule.id !== 'string' || !rule.id.trim()) problems.push('needs an "id"');
+    if (typeof rule.recommend !== 'string' || !rule.recommend.trim()) problems.push('needs a "recommend" schema type');
+    if (!PRIORITIES.includes(rule.priority)) problems.push(`"priority" must be one of ${PRIORITIES.join(', ')}`);
+    if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') problems.push('"enabled" must be true or false');
+    return [...problems, ...conditionProblems(rule.when)];
+};
+
+/**
+ * Check a parsed rule set. Throws a RuleSetError listing every problem as
+ * { line, message } where `line` is the rule's 1-based position.
+ */
+export const validateRuleSet = (ruleSet) => validateDefinition(ruleSet, {
+    noun: 'rule set',
+    version: RULE_SET_VERSION,
+    listKey: 'rules',
+    itemProblems: ruleProblems,
+    ErrorType: RuleSetError
+});
+
+/**
+ * Parse and validate rule set JSON.
+ */
+export const parseRuleSet = (text) => parseDefinition(text, validateRuleSet, RuleSetError);
+
+/**
+ * Build a predicate `(row, types)` for `when` conditions, where `types` are
+ * the row's schema types.
+ */
+export const compileConditions = (when = {}) => {
+    const pattern = when.urlPattern !== undefined ? new RegExp(when.urlPattern) : null;
+    const flags = Object.entries(when.flags || {});
+    return (row, types) => (!when.pageTypes || when.pageTypes.includes(row.page_type))
+        && (!pattern || pattern.test(pathOf(row.url)))
+        && (when.schemaTypesPresent || []).every(type => types.includes(type))
+        && !(when.schemaTypesAbsent || []).some(type => types.includes(type))
+        && flags.every(([flag, value]) => Boolean(row[flag]) === value);
+};
+
+/**
+ * Build a function returning the recommendations the rules make for a row,
+ * as [{ schema, priority, ruleId }] in rule order.
+ */
+export const compileRuleSet = (ruleSet) => {
+    const rules = ruleSet.rules
+        .filter(rule => rule.enabled !== false)
+        .map(rule => ({ rule, matches: compileConditions(rule.when) }));
+    return (row) => {
+        const types = schemaTypesOf(row);
+        const fired = [];
+        rules.forEach(({ rule, matches }) => {
+            if (fired.some(rec => rec.schema === rule.recommend)) return;
+            if (matches(row, types)) fired.push({ schema: rule.recommend, priority: rule.priority, ruleId: rule.id });
+        });
+        return fired;
+    };
+};
+
+/**
+ * Recompute recommended_schemas and recommendation_priority for every
+ * reachable row. Each row also gets `firedRules`, the recommendations with the
+ * id of the rule behind each. Pages that didn't answer 200 get none.
+ */
+export const applyRuleSet = (crawl, ruleSet) => {
+    const recommend = compileRuleSet(ruleSet);
+    return crawl.map(row => {
+        const firedRules = isReachable(row) ? recommend(row) : [];
+        return {
+            ...row,
+            recommended_schemas: firedRules.map(rec => rec.schema).join(', '),
+            recommendation_priority: firedRules.map(rec => `${rec.schema}(${rec.priority})`).join(', '),
+            firedRules
+        };
+    });
+};
+
+/**
+ * A dataset with its recommendations recomputed by `ruleSet`.
+ */
+export const recomputeRecommendations = (dataset, ruleSet) => ({
+    ...dataset,
+    ...datasetFromCrawl(applyRuleSet(dataset.crawl, ruleSet))
+});
+
+/**
+ * Pages each rule fired on, by rule id.
+ */
+export const ruleFireCounts = (rows) => {
+    const counts = {};
+    rows.forEach(row => {
+        (row.firedRules || []).forEach(({ ruleId }) => {
+            counts[ruleId] = (counts[ruleId] || 0) + 1;
+        });
+    });
+    return counts;
+};
+
+/**
+ * The conditions of a rule in words, one entry per condition.
+ */
+export const describeConditions = (rule) => {
+    const when = rule.when || {};
+    const parts = [];
+    if (when.pageTypes) parts.push(`page type is ${when.pageTypes.join(' or ')}`);
+    if (when.urlPattern !== undefined) parts.push(`path matches /${when.urlPattern}/`);
+    if (when.schemaTypesPresent && when.schemaTypesPresent.length > 0) parts.push(`has ${when.schemaTypesPresent.join(', ')}`);
+    if (when.schemaTypesAbsent && when.schemaTypesAbsent.length > 0) parts.push(`lacks ${when.schemaTypesAbsent.join(', ')}`);
+    Object.entries(when.flags || {}).forEach(([flag, value]) => parts.push(`${flag} is ${value}`));
+    return parts.length > 0 ? parts : ['every page'];
+};
@@ -0,0 +1,187 @@
+/**
+ * Remediation tracking for page issues: every recommendation_priority entry
+ * and every missing_required_properties message is an issue with a status,
+ * an owner and notes. Records are keyed by url, kind and issue so they carry
+ * over from one crawl to the next.
+ */
+import { splitList, parseRecommendations } from './dataset.js';
+
+export const ISSUE_STATUSES = [
+    { key: 'open', label: 'Open', closed: false },
+    { key: 'in_progress', label: 'In progress', closed: false },
+    { key: 'fixed', label: 'Fixed', closed: true },
+    { key: 'wont_fix', label: "Won't fix", closed: true }
+];
+
+const STATUS_KEYS = ISSUE_STATUSES.map(status => status.key);
+
+export const isClosed = (record) => ISSUE_STATUSES.some(status => status.key === record.status && status.closed);
+
+// Validation errors have no priority of their own, they get a bucket next to the recommendation priorities
+export const ERROR_PRIORITY = 'Validation error';
+
+export const PRIORITY_ORDER = ['High', 'Medium', 'Low', ERROR_PRIORITY];
+
+export const TRACKER_EXPORT_VERSION = 1;
+
+const issueKey = (url, kind, issue) => `${url}\n${kind}\n${issue}`;
+
+/**
+ * The issues currently reported for a set of rows, one per key:
+ * { key, url, kind: 'recommendation' | 'error', issue, priority }.
+ */
+export const collectIssues = (rows) => {
+    const issues = new Map();
+    const add = (url, kind, issue, priority) => {
+        const key = issueKey(url, kind, issue);
+        if (!issues.has(key)) issues.set(key, { key, url, kind, issue, priority });
+    };
+    rows.forEach(row => {
+        parseRecommendations(row.recommendation_priority).forEach(rec => add(row.url, 'recommendation', rec.schema, rec.priority));
+        splitList(row.missing_required_properties).forEach(message => add(row.url, 'error', message, ERROR_PRIORITY));
+    });
+    return [...issues.values()];
+};
+
+const newRecord = (issue, now) => ({
+    ...issue,
+    status: 'open',
+    owner: '',
+    notes: '',
+    autoFixed: false,
+    firstSeen: now,
+    updatedAt: now
+});
+
+/**
+ * Bring tracked records in line with a crawl. Returns only the records that
+ * changed, ready to be stored:
+ * - issues seen for the first time are added as open
+ * - open or in progress issues of crawled pages that no longer report them
+ *   are marked fixed (`autoFixed`)
+ * - issues that were marked fixed that way and show up again are reopened
+ * Pages missing from the crawl keep their issues as they are.
+ */
+export const reconcileIssues = (records, rows, now = new Date().toISOString()) => {
+    const byKey = new Map(records.map(record => [record.key, record]));
+    const current = collectIssues(rows);
+    const currentKeys = new Set(current.map(issue => issue.key));
+    const crawledUrls = new Set(rows.map(row => row.url));
+    const changed = [];
+
+    current.forEach(issue => {
+        const record = byKey.get(issue.key);
+        if (!record) {
+            changed.push(newRecord(issue, now));
+        } else if (record.autoFixed && record.status === 'fixed') {
+            changed.push({ ...record, priority: issue.priority, status: 'open', autoFixed: false, updatedAt: now });
+        } else if (record.priority !== issue.priority) {
+            changed.push({ ...record, priority: issue.priority, updatedAt: now });
+        }
+    });
+
+    records.forEach(record => {
+        if (!isClosed(record) && crawledUrls.has(record.url) && !currentKeys.has(record.key)) {
+            changed.push({ ...record, status: 'fixed', autoFixed: true, updatedAt: now });
+        }
+    });
+
+    return changed;
+};
+
+/**
+ * Records for the issues of `rows` that aren't tracked yet, as open. Unlike
+ * reconcileIssues this never closes or reopens anything, for rows recomputed
+ * from a crawl that was already reconciled, e.g. after a rule edit.
+ */
+export const untrackedIssues = (records, rows, now = new Date().toISOString()) => {
+    const known = new Set(records.map(record => record.key));
+    return collectIssues(rows)
+        .filter(issue => !known.has(issue.key))
+        .map(issue => newRecord(issue, now));
+};
+
+/**
+ * Apply `changed` records on top of `records`, replacing those with the same key.
+ */
+export const mergeRecords = (records, changed) => {
+    if (changed.length === 0) return records;
+    const updates = new Map(changed.map(record => [record.key, record]));
+    const merged = records.map(record => updates.get(record.key) || record);
+    const known = new Set(records.map(record => record.key));
+    changed.forEach(record => {
+        if (!known.has(record.key)) merged.push(record);
+    });
+    return merged;
+};
+
+/**
+ * Serialize records for sharing.
+ */
+export const exportRecords = (records, now = new Date().toISOString()) => JSON.stringify({
+    version: TRACKER_EXPORT_VERSION,
+    exportedAt: now,
+    issues: records
+}, null, 2);
+
+const isValidRecord = (record) => record
+    && typeof record.url === 'string'
+    && (record.kind === 'recommendation' || record.kind === 'error')
+    && typeof record.issue === 'string'
+    && STATUS_KEYS.includes(record.status);
+
+/**
+ * Parse an exported tracker file. Throws when it isn't one.
+ */
+export const parseRecordsExport = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Not valid JSON: ${err.message}`);
+    }
+    if (!parsed || parsed.version !== TRACKER_EXPORT_VERSION || !Array.isArray(parsed.issues)) {
+        throw new Error('Not a remediation tracker export');
+    }
+    const invalid = parsed.issues.filter(record => !isValidRecord(record)).length;
+    if (invalid > 0) {
+        throw new Error(`${invalid} issue${invalid > 1 ? 's are' : ' is'} missing a url, kind, issue or valid status`);
+    }
+    return parsed.issues.map(record => ({
+        ...record,
+        key: issueKey(record.url, record.kind, record.issue),
+        priority: record.priority || (record.kind === 'error' ? ERROR_PRIORITY : 'Low'),
+        owner: record.owner || '',
+        notes: record.notes || '',
+        autoFixed: Boolean(record.autoFixed),
+        updatedAt: record.updatedAt || ''
+    }));
+};
+
+/**
+ * Records from an import that should replace the local ones: unknown issues,
+ * and known issues the import has a more recent update for.
+ */
+export const importedChanges = (records, imported) => {
+    const byKey = new Map(records.map(record => [record.key, record]));
+    return imported.filter(record => {
+        const local = byKey.get(record.key);
+        return !local || record.updatedAt > local.updatedAt;
+    });
+};
+
+/**
+ * Open and closed issue counts per priority, for the progress chart.
+ */
+export const progressByPriority = (records) => {
+    const groups = new Map();
+    records.forEach(record => {
+        if (!groups.has(record.priority)) groups.set(record.priority, { name: record.priority, Open: 0, Closed: 0 });
+        groups.get(record.priority)[isClosed(record) ? 'Closed' : 'Open']++;
+    });
+    const rank = (name) => {
+        const index = PRIORITY_ORDER.indexOf(name);
+        return index === -1 ? PRIORITY_ORDER.length : index;
+    };
+    return [...groups.values()].sort((a, b) => rank(a.name) - rank(b.name) || a.name.localeCompare(b.name));
+};
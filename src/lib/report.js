@@ -0,0 +1,114 @@
+/**
+ * Self-contained HTML audit report for people who don't run the dashboard.
+ * No external assets: styles are inline and charts are embedded as static SVG.
+ */
+import { splitList } from './dataset.js';
+import { rowIssues } from './validator.js';
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const STYLES = `
+    body { font-family: Inter, system-ui, Helvetica, Arial, sans-serif; color: #111827; margin: 32px; }
+    h1 { font-size: 24px; margin: 0; }
+    h2 { font-size: 18px; margin: 32px 0 12px; }
+    .meta { color: #6B7280; font-size: 13px; margin-top: 4px; }
+    .stats { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-top: 24px; }
+    .stat { border: 1px solid #E5E7EB; border-radius: 8px; padding: 12px 16px; }
+    .stat p { margin: 0; color: #6B7280; font-size: 13px; }
+    .stat strong { font-size: 22px; }
+    .chart { border: 1px solid #E5E7EB; border-radius: 8px; padding: 16px; margin-bottom: 16px; page-break-inside: avoid; }
+    .chart h3 { font-size: 15px; margin: 0 0 12px; }
+    .chart svg { max-width: 100%; height: auto; }
+    table { width: 100%; border-collapse: collapse; font-size: 12px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E5E7EB; vertical-align: top; }
+    th { background: #F9FAFB; text-transform: uppercase; font-size: 11px; color: #6B7280; }
+    tr { page-break-inside: avoid; }
+    .error { color: #B91C1C; }
+    @media print { body { margin: 0; } .chart { break-inside: avoid; } }
+`;
+
+/**
+ * Pages with validation errors or open recommendations.
+ */
+export const issueRows = (rows) => rows.filter(row =>
+    rowIssues(row).errorCount > 0 || splitList(row.recommendation_priority).length > 0
+);
+
+/**
+ * Build the report document.
+ *
+ * `stats` is [{ title, value }], `charts` is [{ title, markup }] where markup is
+ * the chart's rendered SVG, `rows` are the pages the issue table is built from
+ * and `filters` describes how they were selected.
+ */
+export const buildReportHtml = ({ title, datasetName, generatedAt = new Date(), filters = [], stats, charts, rows }) => {
+    const issues = issueRows(rows);
+
+    const statCards = stats.map(stat => `
+        <div class="stat"><p>${escapeHtml(stat.title)}</p><strong>${escapeHtml(stat.value)}</strong></div>`).join('');
+
+    const chartBlocks = charts.map(chart => `
+        <div class="chart"><h3>${escapeHtml(chart.title)}</h3>${chart.markup}</div>`).join('');
+
+    const issueRowsHtml = issues.map(row => {
+        const { issues: messages, unlisted } = rowIssues(row);
+        const errors = messages.map(issue => `<div class="error">${escapeHtml(issue.message)}</div>`).join('')
+            + (unlisted > 0 ? `<div class="error">${unlisted} other error(s)</div>` : '');
+        return `
+            <tr>
+                <td>${escapeHtml(row.url)}</td>
+                <td>${escapeHtml(row.page_type)}</td>
+                <td>${escapeHtml(row.schema_completeness_score)}%</td>
+                <td>${errors || '-'}</td>
+                <td>${escapeHtml(splitList(row.recommendation_priority).join(', ')) || '-'}</td>
+            </tr>`;
+    }).join('');
+
+    return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+    <h1>${escapeHtml(title)}</h1>
+    <p class="meta">Dataset: ${escapeHtml(datasetName)} · Generated ${escapeHtml(generatedAt.toLocaleString())}</p>
+    ${filters.length > 0 ? `<p class="meta">Filters: ${filters.map(escapeHtml).join(' · ')}</p>` : ''}
+
+    <div class="stats">${statCards}
+    </div>
+
+    <h2>Charts</h2>
+    ${chartBlocks}
+
+    <h2>Issues (${issues.length} of ${rows.length} pages)</h2>
+    ${issues.length === 0 ? '<p>No validation errors or open recommendations.</p>' : `
+    <table>
+        <thead>
+            <tr><th>URL</th><th>Page Type</th><th>Score</th><th>Validation Errors</th><th>Recommendations</th></tr>
+        </thead>
+        <tbody>${issueRowsHtml}
+        </tbody>
+    </table>`}
+</body>
+</html>
+`;
+};
+
+/**
+ * Static markup of a rendered Recharts chart, without its hover tooltip.
+ * Browser only.
+ */
+export const snapshotChart = (container) => {
+    const wrapper = container?.querySelector('.recharts-wrapper');
+    if (!wrapper) return '<p>Chart not available.</p>';
+    const clone = wrapper.cloneNode(true);
+    clone.querySelectorAll('.recharts-tooltip-wrapper').forEach(el => el.remove());
+    return clone.outerHTML;
+};
@@ -0,0 +1,176 @@
+/**
+ * Site-section hierarchy built from URL paths (/blog, /features, /industries, ...)
+ * with schema health aggregated per subtree.
+ *
+ * A section is a path ("/blog", on any domain) or a domain with an optional
+ * path ("example.com/blog"). Datasets covering several domains get a tree with
+ * one subtree per domain, so the same path on two sites isn't merged.
+ */
+import { recommendationsOf, errorCountOf } from './filters.js';
+import { domainOf } from './domains.js';
+
+/**
+ * URL path without trailing slash, "/" for the home page.
+ */
+export const pathOf = (url) => {
+    let path;
+    try {
+        path = new URL(url).pathname;
+    } catch {
+        path = String(url).replace(/^[a-z]+:\/\/[^/]+/i, '').split(/[?#]/)[0];
+    }
+    path = path.replace(/\/+$/, '');
+    return path || '/';
+};
+
+/**
+ * Is `path` inside `section` ("/blog" contains "/blog" and "/blog/x").
+ */
+export const pathInSection = (path, section) => {
+    if (!section || section === '/') return true;
+    return path === section || path.startsWith(`${section}/`);
+};
+
+/**
+ * Split a section into { domain, path }; `domain` is null for a bare path.
+ */
+export const parseSection = (section) => {
+    if (!section || section.startsWith('/')) return { domain: null, path: section || '/' };
+    const slash = section.indexOf('/');
+    return slash === -1
+        ? { domain: section, path: '/' }
+        : { domain: section.slice(0, slash), path: section.slice(slash) };
+};
+
+/**
+ * Is a page on `domain` at `path` inside `section`.
+ */
+export const locationInSection = (domain, path, section) => {
+    const parsed = parseSection(section);
+    return (!parsed.domain || parsed.domain === domain) && pathInSection(path, parsed.path);
+};
+
+/**
+ * Is the page at `url` inside `section`.
+ */
+export const inSection = (url, section) => locationInSection(domainOf(url), pathOf(url), section);
+
+/**
+ * Path of a row, pre-parsed by indexRows() when available.
+ */
+export const pathOfRow = (row) => row.path || pathOf(row.url);
+
+/**
+ * Domain of a row, pre-parsed by indexRows() when available.
+ */
+export const domainOfRow = (row) => (row.domain !== undefined ? row.domain : domainOf(row.url));
+
+/**
+ * Is a row inside `section`.
+ */
+export const rowInSection = (row, section) => locationInSection(domainOfRow(row), pathOfRow(row), section);
+
+/**
+ * Sections from the root down to `section`: "example.com/blog/news" ->
+ * ["/", "example.com", "example.com/blog", "example.com/blog/news"].
+ */
+export const sectionAncestors = (section) => {
+    const { domain, path } = parseSection(section);
+    const prefix = domain || '';
+    const segments = path.split('/').filter(Boolean);
+    return [
+        '/',
+        ...(domain ? [domain] : []),
+        ...segments.map((_, i) => `${prefix}/${segments.slice(0, i + 1).join('/')}`)
+    ];
+};
+
+/**
+ * Does a dataset's rows span more than one domain.
+ */
+export const spansDomains = (rows) => {
+    const first = rows.length > 0 ? domainOfRow(rows[0]) : '';
+    return rows.some(row => domainOfRow(row) !== first);
+};
+
+const createNode = (path, name, isDomain = false) => ({
+    path,
+    name,
+    isDomain,
+    children: [],
+    pageCount: 0,
+    scoreTotal: 0,
+    avgScore: 0,
+    errorCount: 0,
+    openRecommendations: 0
+});
+
+/**
+ * Build the section tree. Every node aggregates all pages in its subtree:
+ * page count, average completeness, validation errors and outstanding
+ * recommendations. Children are sorted by page count, largest first. When
+ * the rows span several domains, the root's children are the domains
+ * (`isDomain`) and the paths below are keyed by domain.
+ */
+export const buildSectionTree = (rows) => {
+    const root = createNode('/', 'All pages');
+    const nodes = new Map([['/', root]]);
+    const byDomain = spansDomains(rows);
+
+    rows.forEach(row => {
+        const segments = pathOfRow(row).split('/').filter(Boolean);
+        const chain = [root];
+        let path = '';
+        if (byDomain) {
+            path = domainOfRow(row);
+            if (!nodes.has(path)) {
+                const node = createNode(path, path, true);
+                nodes.set(path, node);
+                root.children.push(node);
+            }
+            chain.push(nodes.get(path));
+        }
+        segments.forEach(segment => {
+            const parentPath = path || '/';
+            path = `${path}/${segment}`;
+            if (!nodes.has(path)) {
+                const node = createNode(path, segment);
+                nodes.set(path, node);
+                nodes.get(parentPath).children.push(node);
+            }
+            chain.push(nodes.get(path));
+        });
+
+        const score = row.schema_completeness_score || 0;
+        const errors = errorCountOf(row);
+        const recommendations = recommendationsOf(row).length;
+        chain.forEach(node => {
+            node.pageCount++;
+            node.scoreTotal += score;
+            node.errorCount += errors;
+            node.openRecommendations += recommendations;
+        });
+    });
+
+    const finalize = (node) => {
+        node.avgScore = node.pageCount > 0 ? node.scoreTotal / node.pageCount : 0;
+        node.children.sort((a, b) => b.pageCount - a.pageCount || a.name.localeCompare(b.name));
+        node.children.forEach(finalize);
+    };
+    finalize(root);
+
+    return root;
+};
+
+/**
+ * Find the node for a section path, or null.
+ */
+export const findSection = (root, path) => {
+    if (root.path === path) return root;
+    for (const child of root.children) {
+        if (path === child.path || path.startsWith(`${child.path}/`)) {
+            return findSection(child, path);
+        }
+    }
+    return null;
+};
@@ -0,0 +1,95 @@
+/**
+ * Dated crawl snapshots for trend tracking. A snapshot is the list entry
+ * { key, name, crawlDate, crawlDateSource, savedAt, metrics } plus the crawl
+ * rows, stored separately under the same key. The key is the export's
+ * fingerprint, so loading the same file twice keeps one snapshot.
+ */
+import { datasetFromCrawl, toIsoDate } from './dataset.js';
+import { withValidatorScore } from './validator.js';
+import { summaryStats, schemaTypeCounts } from './aggregate.js';
+import { errorCountOf } from './filters.js';
+
+/**
+ * Whole-site numbers tracked over time. Schema type coverage is the share of
+ * pages carrying each type, in percent.
+ */
+export const snapshotMetrics = (rows) => {
+    const { totalPages, avgScore, withFaq, withReviews } = summaryStats(rows);
+    const typeCoverage = {};
+    schemaTypeCounts(rows).forEach(({ name, value }) => {
+        typeCoverage[name] = totalPages > 0 ? (value / totalPages) * 100 : 0;
+    });
+    return {
+        pages: totalPages,
+        avgScore,
+        withFaq,
+        withReviews,
+        validationErrors: rows.reduce((acc, row) => acc + errorCountOf(row), 0),
+        typeCoverage
+    };
+};
+
+/**
+ * Build the snapshot of a loaded dataset. Undated exports are dated the day
+ * they were loaded; the date can be corrected by hand afterwards.
+ */
+export const createSnapshot = (dataset, now = new Date()) => {
+    const savedAt = now.toISOString();
+    const snapshot = {
+        key: dataset.fingerprint,
+        name: dataset.name,
+        crawlDate: dataset.crawlDate || toIsoDate(now),
+        crawlDateSource: dataset.crawlDate ? dataset.crawlDateSource : 'loaded',
+        savedAt,
+        metrics: snapshotMetrics(dataset.rows)
+    };
+    return { snapshot, rows: { key: snapshot.key, crawl: dataset.crawl, skipped: dataset.skipped } };
+};
+
+/**
+ * Rebuild a dataset from a stored snapshot and its rows. Rows stored before
+ * the validator scored them are scored now.
+ */
+export const datasetFromSnapshot = (snapshot, stored) => ({
+    name: snapshot.name,
+    ...datasetFromCrawl(stored.crawl.map(withValidatorScore)),
+    skipped: stored.skipped || [],
+    crawlDate: snapshot.crawlDate,
+    crawlDateSource: snapshot.crawlDateSource,
+    fingerprint: snapshot.key
+});
+
+/**
+ * Oldest crawl first; snapshots of the same day in the order they were saved.
+ */
+export const sortSnapshots = (snapshots) => [...snapshots].sort((a, b) =>
+    a.crawlDate.localeCompare(b.crawlDate) || a.savedAt.localeCompare(b.savedAt)
+);
+
+/**
+ * Whether no other snapshot has a later crawl date than `snapshot`.
+ */
+export const isLatestSnapshot = (snapshots, snapshot) =>
+    snapshots.every(other => other.crawlDate <= snapshot.crawlDate);
+
+/**
+ * Chart rows for the trend lines, one per snapshot in crawl order, and the
+ * schema types seen in any of them, most covered (in the latest snapshot) first.
+ */
+export const trendSeries = (snapshots) => {
+    const sorted = sortSnapshots(snapshots);
+    const points = sorted.map(({ key, crawlDate, metrics }) => ({
+        key,
+        date: crawlDate,
+        avgScore: Math.round(metrics.avgScore * 10) / 10,
+        withFaq: metrics.withFaq,
+        withReviews: metrics.withReviews,
+        validationErrors: metrics.validationErrors,
+        coverage: Object.fromEntries(Object.entries(metrics.typeCoverage)
+            .map(([type, share]) => [type, Math.round(share * 10) / 10]))
+    }));
+    const latest = points.length > 0 ? points[points.length - 1].coverage : {};
+    const types = Array.from(new Set(points.flatMap(point => Object.keys(point.coverage))))
+        .sort((a, b) => (latest[b] || 0) - (latest[a] || 0) || a.localeCompare(b));
+    return { points, types };
+};
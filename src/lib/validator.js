@@ -0,0 +1,356 @@
+/**
+ * Property-level schema.org validation.
+ *
+ * Each rule set lists the required and recommended properties of a type and
+ * the value types they accept. The validator produces the three audit
+ * columns: schema_completeness_score, missing_required_properties and
+ * validation_errors, and parses those columns back into structured issues
+ * for the dashboard.
+ */
+import { splitList } from './dataset.js';
+
+// Accepted value types: 'Text', 'URL', 'Date', 'Number' or a schema.org type name
+export const RULE_SETS = {
+    Article: {
+        required: {
+            headline: ['Text'],
+            author: ['Person', 'Organization'],
+            datePublished: ['Date'],
+            image: ['ImageObject', 'URL']
+        },
+        recommended: {
+            dateModified: ['Date'],
+            publisher: ['Organization'],
+            mainEntityOfPage: ['WebPage', 'URL'],
+            description: ['Text']
+        }
+    },
+    FAQPage: {
+        required: {
+            mainEntity: ['Question']
+        },
+        recommended: {
+            name: ['Text'],
+            url: ['URL']
+        }
+    },
+    Product: {
+        required: {
+            name: ['Text'],
+            image: ['ImageObject', 'URL']
+        },
+        recommended: {
+            description: ['Text'],
+            brand: ['Brand', 'Organization'],
+            offers: ['Offer'],
+            aggregateRating: ['AggregateRating'],
+            review: ['Review'],
+            sku: ['Text']
+        }
+    },
+    Organization: {
+        required: {
+            name: ['Text'],
+            url: ['URL']
+        },
+        recommended: {
+            logo: ['ImageObject', 'URL'],
+            sameAs: ['URL'],
+            contactPoint: ['ContactPoint']
+        }
+    },
+    BreadcrumbList: {
+        required: {
+            itemListElement: ['ListItem']
+        },
+        recommended: {}
+    },
+    WebPage: {
+        required: {
+            name: ['Text'],
+            url: ['URL']
+        },
+        recommended: {
+            description: ['Text'],
+            breadcrumb: ['BreadcrumbList'],
+            isPartOf: ['WebSite'],
+            inLanguage: ['Text']
+        }
+    },
+    LocalBusiness: {
+        required: {
+            name: ['Text'],
+            address: ['PostalAddress', 'Text']
+        },
+        recommended: {
+            telephone: ['Text'],
+            url: ['URL'],
+            image: ['ImageObject', 'URL'],
+            geo: ['GeoCoordinates'],
+            openingHoursSpecification: ['OpeningHoursSpecification']
+        }
+    },
+    Review: {
+        required: {
+            author: ['Person', 'Organization'],
+            reviewRating: ['Rating'],
+            itemReviewed: ['Thing']
+        },
+        recommended: {
+            reviewBody: ['Text'],
+            datePublished: ['Date']
+        }
+    }
+};
+
+// Points a schema type loses per missing or invalid required property, as
+// the crawler's schema_completeness_score does
+export const REQUIRED_PROPERTY_PENALTY = 10;
+
+/**
+ * Completeness of one schema type given its number of required-level issues.
+ */
+export const typeScore = (requiredIssues) => Math.max(0, 100 - REQUIRED_PROPERTY_PENALTY * requiredIssues);
+
+/**
+ * Page completeness score, reproducing schema_completeness_score of the
+ * crawler export: the mean typeScore() over every schema type found on the
+ * page, where types without a rule set or without issues score 100. A page
+ * without structured data scores 0. `issues` are required-level issues; each
+ * type and property counts once.
+ */
+export const completenessScore = (types, issues) => {
+    if (types.length === 0) return 0;
+    const total = types.reduce((acc, type) => {
+        const properties = new Set(issues.filter(issue => issue.type === type).map(issue => issue.property));
+        return acc + typeScore(properties.size);
+    }, 0);
+    return Math.round((total / types.length) * 100) / 100;
+};
+
+// Subtypes that are validated with (or accepted as) their parent type
+const SUBTYPES = {
+    Article: ['BlogPosting', 'NewsArticle', 'TechArticle', 'ScholarlyArticle'],
+    WebPage: ['AboutPage', 'CheckoutPage', 'CollectionPage', 'ContactPage', 'FAQPage', 'ItemPage', 'ProfilePage', 'SearchResultsPage'],
+    Organization: ['Corporation', 'LocalBusiness', 'NGO', 'OnlineBusiness'],
+    LocalBusiness: ['ProfessionalService', 'Store', 'FinancialService'],
+    Rating: ['AggregateRating'],
+    Offer: ['AggregateOffer']
+};
+
+const isSubtypeOf = (type, parent) => {
+    if (type === parent || parent === 'Thing') return true;
+    return (SUBTYPES[parent] || []).some(child => isSubtypeOf(type, child));
+};
+
+/**
+ * Rule set for a type: its own, else the closest parent's ("BlogPosting" uses Article).
+ */
+export const ruleSetFor = (type) => {
+    if (RULE_SETS[type]) return { ruleType: type, rules: RULE_SETS[type] };
+    const parent = Object.keys(RULE_SETS).find(name => name !== type && isSubtypeOf(type, name));
+    return parent ? { ruleType: parent, rules: RULE_SETS[parent] } : null;
+};
+
+const isPresent = (value) => {
+    if (value === undefined || value === null) return false;
+    if (typeof value === 'string') return value.trim() !== '';
+    if (Array.isArray(value)) return value.some(isPresent);
+    return true;
+};
+
+const entityTypes = (value) => {
+    const type = value['@type'];
+    if (!type) return [];
+    return Array.isArray(type) ? type : [type];
+};
+
+const matchesExpected = (value, expected) => {
+    switch (expected) {
+        case 'Text':
+            return typeof value === 'string' && value.trim() !== '';
+        case 'URL':
+            // Relative references are fine, microdata often uses them
+            return typeof value === 'string' && /^\S+$/.test(value.trim());
+        case 'Date':
+            return typeof value === 'string' && !Number.isNaN(Date.parse(value));
+        case 'Number':
+            return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+        default:
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+            // A bare {"@id": ...} reference to an entity defined elsewhere in the graph
+            if (entityTypes(value).length === 0) return Boolean(value['@id']);
+            return entityTypes(value).some(t => isSubtypeOf(t, expected));
+    }
+};
+
+const isValidValue = (value, expected) => {
+    const values = (Array.isArray(value) ? value : [value]).filter(isPresent);
+    return values.length > 0 && values.every(v => expected.some(e => matchesExpected(v, e)));
+};
+
+const describeExpected = (expected) => expected.join(' or ');
+
+/**
+ * Validate one entity (a JSON-LD node or microdata item) against the rule set
+ * of its type. Returns null for types without a rule set.
+ *
+ * Issues are { type, property, kind: 'missing' | 'invalid', level: 'required' | 'recommended', expected }.
+ * The score is typeScore() of the required-level issues.
+ */
+export const validateEntity = (type, data) => {
+    const ruleSet = ruleSetFor(type);
+    if (!ruleSet) return null;
+
+    const issues = [];
+    ['required', 'recommended'].forEach(level => {
+        Object.entries(ruleSet.rules[level]).forEach(([property, expected]) => {
+            const value = data[property];
+            if (!isPresent(value)) {
+                issues.push({ type, property, kind: 'missing', level, expected: describeExpected(expected) });
+            } else if (!isValidValue(value, expected)) {
+                issues.push({ type, property, kind: 'invalid', level, expected: describeExpected(expected) });
+            }
+        });
+    });
+
+    return {
+        type,
+        ruleType: ruleSet.ruleType,
+        score: typeScore(issues.filter(issue => issue.level === 'required').length),
+        issues
+    };
+};
+
+/**
+ * Format a required-level issue the way the missing_required_properties column stores it.
+ */
+export const formatIssue = (issue) => issue.kind === 'missing'
+    ? `${issue.type}: Missing required property: ${issue.property}`
+    : `${issue.type}: Invalid value for ${issue.property} (expected ${issue.expected})`;
+
+const MISSING_RE = /^(.+?): Missing required property: (.+)$/;
+const INVALID_RE = /^(.+?): Invalid value for (.+?) \(expected (.+)\)$/;
+
+/**
+ * Parse one missing_required_properties entry back into an issue.
+ * Unrecognized messages are kept as { kind: 'other', message }.
+ */
+export const parseIssue = (message) => {
+    let match = message.match(MISSING_RE);
+    if (match) {
+        return { type: match[1], property: match[2], kind: 'missing', level: 'required', expected: null, message };
+    }
+    match = message.match(INVALID_RE);
+    if (match) {
+        return { type: match[1], property: match[2], kind: 'invalid', level: 'required', expected: match[3], message };
+    }
+    return { type: null, property: null, kind: 'other', level: 'required', expected: null, message };
+};
+
+/**
+ * Validate every entity found on a page.
+ *
+ * The page score is completenessScore() over the distinct types of the
+ * entities. Only required-level issues count as validation errors,
+ * recommended properties are reported as warnings.
+ */
+export const validatePage = (entities, { parseErrors = [] } = {}) => {
+    const results = entities
+        .map(entity => validateEntity(entity.type, entity.data))
+        .filter(Boolean);
+
+    const issues = results.flatMap(r => r.issues);
+    const errors = issues.filter(i => i.level === 'required');
+    // Several entities of a type with the same problem are reported once
+    const messages = Array.from(new Set(errors.map(formatIssue)));
+    const types = Array.from(new Set(entities.flatMap(entity => entity.types || [entity.type])));
+
+    return {
+        score: completenessScore(types, errors),
+        issues,
+        errors,
+        warnings: issues.filter(i => i.level === 'recommended'),
+        missing_required_properties: messages.join(', '),
+        validation_errors: errors.length + parseErrors.length
+    };
+};
+
+/**
+ * Structured issues for a dashboard row, parsed from its audit columns.
+ * `unlisted` counts validation errors that have no message (e.g. unparseable JSON-LD).
+ */
+export const rowIssues = (row) => {
+    const issues = splitList(row.missing_required_properties).map(parseIssue);
+    const errorCount = Number(row.validation_errors) || 0;
+    return {
+        issues,
+        errorCount: Math.max(errorCount, issues.length),
+        unlisted: Math.max(errorCount - issues.length, 0)
+    };
+};
+
+/**
+ * Completeness score of a dashboard row, computed by completenessScore() from
+ * its schema_types_found and missing_required_properties columns.
+ */
+export const rowScore = (row) => {
+    const types = splitList(row.schema_types_found).filter(type => type !== 'Unknown' && type !== 'Unspecified');
+    return completenessScore(types, rowIssues(row).issues);
+};
+
+/**
+ * A dashboard row whose schema_completeness_score is rowScore(), so sorting,
+ * filters, aggregates and the quality gate all use the validator's score. The
+ * crawler's own number is kept in `reported_completeness_score`, null when the
+ * export had none. Rows scored before are returned as they are.
+ */
+export const withValidatorScore = (row) => ('reported_completeness_score' in row
+    ? row
+    : { ...row, schema_completeness_score: rowScore(row), reported_completeness_score: row.schema_completeness_score });
+
+/**
+ * Score band used for the completeness bar: complete (>= 80), partial (>= 50) or poor.
+ */
+export const scoreBand = (score) => {
+    if (score >= 80) return 'complete';
+    if (score >= 50) return 'partial';
+    return 'poor';
+};
+
+/**
+ * Required-property checklist per schema type of a dashboard row.
+ *
+ * Covers every type in schema_types_found that has a rule set, plus any type
+ * only mentioned in the row's issues. Items are { property, status } where
+ * status is 'ok', 'missing' or 'invalid'; properties without a reported issue
+ * are taken to be ok.
+ */
+export const rowChecklist = (row) => {
+    const { issues } = rowIssues(row);
+    const types = splitList(row.schema_types_found);
+    issues.forEach(issue => {
+        if (issue.type && !types.includes(issue.type)) types.push(issue.type);
+    });
+
+    return types.reduce((acc, type) => {
+        const ruleSet = ruleSetFor(type);
+        const typeIssues = issues.filter(issue => issue.type === type);
+        if (!ruleSet && typeIssues.length === 0) return acc;
+
+        const properties = ruleSet ? Object.keys(ruleSet.rules.required) : [];
+        typeIssues.forEach(issue => {
+            if (!properties.includes(issue.property)) properties.push(issue.property);
+        });
+
+        acc.push({
+            type,
+            ruleType: ruleSet ? ruleSet.ruleType : null,
+            items: properties.map(property => {
+                const issue = typeIssues.find(i => i.property === property);
+                return { property, status: issue ? issue.kind : 'ok', expected: issue?.expected ?? null };
+            })
+        });
+        return acc;
+    }, []);
+};
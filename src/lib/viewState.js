@@ -0,0 +1,135 @@
+/**
+ * Dashboard view state <-> query string.
+ *
+ * Every filter, search, sort and selection setting lives in the
+ * URL so a view can be bookmarked, shared and stepped through with
+ * back/forward. Defaults are left out of the query string to keep links short.
+ */
+import { DEFAULT_FACETS, FLAG_FACETS, SORT_ACCESSORS } from './filters.js';
+
+export const DEFAULT_VIEW = {
+    search: '',
+    // Site section ("/blog" or "example.com/blog", see src/lib/sections.js) the
+    // whole dashboard is scoped to, null for all pages
+    section: null,
+    facets: DEFAULT_FACETS,
+    recommendation: null,
+    sort: null,
+    selectedUrl: null
+};
+
+// Query parameter for each list facet, values are comma separated
+const LIST_PARAMS = {
+    schemaTypes: 'type',
+    pageTypes: 'pageType',
+    primaryTypes: 'primary'
+};
+
+// Query parameter for each flag facet, "1" or "0"
+const FLAG_PARAMS = {
+    hasFaq: 'faq',
+    hasReviews: 'reviews',
+    hasProductData: 'product',
+    jsRendered: 'js'
+};
+
+const SCHEMA_TYPE_MODES = ['any', 'all', 'none'];
+
+// A path, or a domain with an optional path
+const SECTION_RE = /^(\/|[a-z0-9-]+(\.[a-z0-9-]+)+(\/|$))/i;
+
+const decodeFacets = (params) => {
+    const facets = { ...DEFAULT_FACETS };
+
+    Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+        const value = params.get(param);
+        if (value) facets[key] = value.split(',').map(v => v.trim()).filter(Boolean);
+    });
+
+    const mode = params.get('typeMode');
+    if (SCHEMA_TYPE_MODES.includes(mode)) facets.schemaTypeMode = mode;
+
+    FLAG_FACETS.forEach(({ key }) => {
+        const value = params.get(FLAG_PARAMS[key]);
+        if (value === '1') facets[key] = true;
+        if (value === '0') facets[key] = false;
+    });
+
+    // "20-80"
+    const score = (params.get('score') || '').match(/^(\d+(?:\.\d+)?)-(\d+(?:\.\d+)?)$/);
+    if (score) {
+        facets.scoreMin = Math.max(0, Number(score[1]));
+        facets.scoreMax = Math.min(100, Number(score[2]));
+    }
+
+    const errors = params.get('errors');
+    if (errors === 'with' || errors === 'without') facets.errors = errors;
+
+    return facets;
+};
+
+const encodeFacets = (facets, params) => {
+    Object.entries(LIST_PARAMS).forEach(([key, param]) => {
+        if (facets[key].length > 0) params.set(param, facets[key].join(','));
+    });
+    if (facets.schemaTypes.length > 0 && facets.schemaTypeMode !== DEFAULT_FACETS.schemaTypeMode) {
+        params.set('typeMode', facets.schemaTypeMode);
+    }
+    FLAG_FACETS.forEach(({ key }) => {
+        if (facets[key] !== null) params.set(FLAG_PARAMS[key], facets[key] ? '1' : '0');
+    });
+    if (facets.scoreMin > DEFAULT_FACETS.scoreMin || facets.scoreMax < DEFAULT_FACETS.scoreMax) {
+        params.set('score', `${facets.scoreMin}-${facets.scoreMax}`);
+    }
+    if (facets.errors) params.set('errors', facets.errors);
+};
+
+/**
+ * Parse a query string (with or without the leading "?") into a view state.
+ * Unknown or malformed parameters fall back to the defaults.
+ */
+export const decodeView = (search) => {
+    const params = new URLSearchParams(search);
+    const view = { ...DEFAULT_VIEW, facets: decodeFacets(params) };
+
+    if (params.has('q')) view.search = params.get('q');
+    // "/blog" or "example.com/blog", the root section is the default
+    const section = (params.get('section') || '').replace(/\/+$/, '');
+    if (SECTION_RE.test(section)) view.section = section;
+    if (params.has('detail')) view.selectedUrl = params.get('detail');
+
+    // "Article:High"
+    const rec = params.get('rec');
+    if (rec) {
+        const separator = rec.lastIndexOf(':');
+        if (separator > 0) {
+            view.recommendation = { schema: rec.slice(0, separator), priority: rec.slice(separator + 1) };
+        }
+    }
+
+    // "schema_completeness_score:asc"
+    const [sortKey, sortDir] = (params.get('sort') || '').split(':');
+    if (SORT_ACCESSORS[sortKey]) {
+        view.sort = { key: sortKey, dir: sortDir === 'desc' ? 'desc' : 'asc' };
+    }
+
+    return view;
+};
+
+/**
+ * Serialize a view state to a query string, "" when everything is at its default.
+ */
+export const encodeView = (view) => {
+    const params = new URLSearchParams();
+    if (view.section) params.set('section', view.section);
+    if (view.search) params.set('q', view.search);
+    encodeFacets(view.facets, params);
+    if (view.recommendation) {
+        params.set('rec', `${view.recommendation.schema}:${view.recommendation.priority}`);
+    }
+    if (view.sort) params.set('sort', `${view.sort.key}:${view.sort.dir}`);
+    if (view.selectedUrl) params.set('detail', view.selectedUrl);
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+};
@@ -0,0 +1,60 @@
+/**
+ * Runs the dashboard's work on whole crawls off the main thread: applying
+ * accepted page types and the recommendation rules, proposing page types,
+ * and aggregation and filtering (src/lib/aggregate.js).
+ *
+ * Messages in:  { type: 'load', crawl }, { type: 'refine', ruleSet, accepted },
+ *               { type: 'propose', id, classifier, accepted },
+ *               { type: 'analyze', id, queryKey, query },
+ *               { type: 'refineCrawls', crawls, ruleSet, accepted }
+ * Messages out: { type: 'refined', crawl, sectionTree, fireCounts, domains },
+ *               { type: 'proposals', id, proposals, accepted },
+ *               { type: 'result', id, queryKey, result },
+ *               { type: 'crawlsRefined', crawls }
+ *
+ * 'load' keeps the crawl as loaded; 'refine' and 'propose' work from it and
+ * 'analyze' filters the crawl of the last 'refine'. 'refineCrawls' stands
+ * alone, for crawls that are only compared against.
+ */
+import { createAnalyzer } from '../lib/aggregate.js';
+import { isReachable } from '../lib/dataset.js';
+import { domainsOf } from '../lib/domains.js';
+import { applyRuleSet, ruleFireCounts } from '../lib/recommendationRules.js';
+import { reclassifyCrawl, proposePageTypes, acceptedChanges } from '../lib/pageTypeRules.js';
+
+let source = null;
+let analyzer = null;
+
+// Accepted page types go first so the recommendation rules see the refined types
+const refine = (crawl, ruleSet, accepted) => applyRuleSet(reclassifyCrawl(crawl, accepted), ruleSet);
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'load') {
+        source = data.crawl;
+    } else if (data.type === 'refine' && source) {
+        const crawl = refine(source, data.ruleSet, data.accepted);
+        const rows = crawl.filter(isReachable);
+        analyzer = createAnalyzer(crawl);
+        self.postMessage({
+            type: 'refined',
+            crawl,
+            sectionTree: analyzer.sectionTree,
+            fireCounts: ruleFireCounts(rows),
+            domains: domainsOf(rows)
+        });
+    } else if (data.type === 'propose' && source) {
+        // Proposals are made against the crawler's own page types
+        const rows = source.filter(isReachable);
+        self.postMessage({
+            type: 'proposals',
+            id: data.id,
+            proposals: proposePageTypes(rows, data.classifier, data.accepted),
+            accepted: acceptedChanges(rows, data.accepted)
+        });
+    } else if (data.type === 'analyze' && analyzer) {
+        const result = analyzer.analyze(data.query);
+        self.postMessage({ type: 'result', id: data.id, queryKey: data.queryKey, result }, [result.indices.buffer]);
+    } else if (data.type === 'refineCrawls') {
+        self.postMessage({ type: 'crawlsRefined', crawls: data.crawls.map(crawl => refine(crawl, data.ruleSet, data.accepted)) });
+    }
+});